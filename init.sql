@@ -1,5 +1,5 @@
 CREATE TABLE IF NOT EXISTS users (
-    phone_number VARCHAR(20) PRIMARY KEY,
+    phone_number VARCHAR(32) PRIMARY KEY,
     first_interaction TIMESTAMP DEFAULT NOW(),
     last_interaction TIMESTAMP DEFAULT NOW(),
     total_messages INTEGER DEFAULT 0,
@@ -11,20 +11,25 @@ CREATE TABLE IF NOT EXISTS users (
 
 CREATE TABLE IF NOT EXISTS conversations (
     id SERIAL PRIMARY KEY,
-    phone_number VARCHAR(20) REFERENCES users(phone_number),
+    phone_number VARCHAR(32) REFERENCES users(phone_number),
     message TEXT NOT NULL,
     direction VARCHAR(10) NOT NULL CHECK (direction IN ('incoming', 'outgoing')),
     risk_level VARCHAR(20) DEFAULT 'none',
     risk_categories TEXT[],
     timestamp TIMESTAMP DEFAULT NOW(),
     session_id VARCHAR(100),
-    metadata JSONB DEFAULT '{}'::jsonb
+    metadata JSONB DEFAULT '{}'::jsonb,
+    message_sids TEXT[],
+    delivery_status VARCHAR(20),
+    delivery_error_code INTEGER,
+    delivery_attempts INTEGER DEFAULT 1,
+    delivery_updated_at TIMESTAMP
 );
 
 
 CREATE TABLE IF NOT EXISTS crisis_events (
     id SERIAL PRIMARY KEY,
-    phone_number VARCHAR(20) REFERENCES users(phone_number),
+    phone_number VARCHAR(32) REFERENCES users(phone_number),
     risk_level VARCHAR(20) NOT NULL,
     risk_categories TEXT[] NOT NULL,
     message_preview TEXT,
@@ -36,7 +41,7 @@ CREATE TABLE IF NOT EXISTS crisis_events (
 
 CREATE TABLE IF NOT EXISTS check_ins (
     id SERIAL PRIMARY KEY,
-    phone_number VARCHAR(20) REFERENCES users(phone_number),
+    phone_number VARCHAR(32) REFERENCES users(phone_number),
     sent_at TIMESTAMP DEFAULT NOW(),
     responded BOOLEAN DEFAULT false,
     response_text TEXT,
@@ -44,9 +49,29 @@ CREATE TABLE IF NOT EXISTS check_ins (
     metadata JSONB DEFAULT '{}'::jsonb
 );
 
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+    id SERIAL PRIMARY KEY,
+    phone_number VARCHAR(32),
+    purpose VARCHAR(30) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- MessageSids already handled (webhook idempotency when Redis is down)
+CREATE TABLE IF NOT EXISTS processed_messages (
+    message_sid VARCHAR(64) PRIMARY KEY,
+    received_at TIMESTAMP DEFAULT NOW()
+);
+
+
 CREATE INDEX IF NOT EXISTS idx_conversations_phone ON conversations(phone_number);
 CREATE INDEX IF NOT EXISTS idx_conversations_timestamp ON conversations(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_conversations_risk_level ON conversations(risk_level);
+CREATE INDEX IF NOT EXISTS idx_conversations_message_sids ON conversations USING GIN (message_sids);
 CREATE INDEX IF NOT EXISTS idx_crisis_events_phone ON crisis_events(phone_number);
 CREATE INDEX IF NOT EXISTS idx_crisis_events_timestamp ON crisis_events(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_crisis_events_resolved ON crisis_events(resolved);
@@ -56,6 +81,9 @@ CREATE INDEX IF NOT EXISTS idx_users_is_active ON users(is_active);
 CREATE INDEX IF NOT EXISTS idx_check_ins_phone ON check_ins(phone_number);
 CREATE INDEX IF NOT EXISTS idx_check_ins_sent_at ON check_ins(sent_at DESC);
 CREATE INDEX IF NOT EXISTS idx_check_ins_responded ON check_ins(responded);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_phone_created_at ON llm_usage(phone_number, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_processed_messages_received_at ON processed_messages(received_at);
 
 
 GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA public TO postgres;
@@ -0,0 +1,169 @@
+// CalmText Web Chat Widget - Embed with <script src="https://your-server/web/widget.js" defer></script>
+(function () {
+  'use strict';
+
+  var script = document.currentScript;
+  var BASE_URL = script ? new URL(script.src).origin : '';
+  var STORAGE_KEY = 'calmtext.session';
+
+  // Where to get help if the chat fails; the session brings the server's hotlines
+  var help = 'If you need help right now, please contact your local emergency services or a crisis line.';
+
+  var token = null;
+  var events = null;
+
+  /**
+   * Get the saved session token, or start a new anonymous session
+   */
+  function getToken(forceNew) {
+    if (!forceNew) {
+      try {
+        var saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        if (saved && new Date(saved.expiresAt) > new Date()) {
+          help = saved.help || help;
+          return Promise.resolve(saved.token);
+        }
+      } catch (e) {
+        // Storage blocked or corrupt: start a new session
+      }
+    }
+
+    return fetch(BASE_URL + '/web/session', { method: 'POST' })
+      .then(function (res) {
+        if (!res.ok) throw new Error('Could not start a chat session');
+        return res.json();
+      })
+      .then(function (session) {
+        help = session.help || help;
+        try {
+          localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+        } catch (e) {
+          // Session lasts until the page closes
+        }
+        return session.token;
+      });
+  }
+
+  function css(el, styles) {
+    for (var key in styles) el.style[key] = styles[key];
+    return el;
+  }
+
+  // Layout: a launcher button and a panel with the log and an input
+  var launcher = css(document.createElement('button'), {
+    position: 'fixed', right: '20px', bottom: '20px', zIndex: '2147483000',
+    padding: '12px 18px', border: 'none', borderRadius: '24px',
+    background: '#4a6fa5', color: '#fff', font: '15px sans-serif', cursor: 'pointer',
+  });
+  launcher.type = 'button';
+  launcher.textContent = 'Chat with CalmText';
+
+  var panel = css(document.createElement('div'), {
+    position: 'fixed', right: '20px', bottom: '76px', zIndex: '2147483000',
+    width: '320px', maxWidth: 'calc(100vw - 40px)', height: '420px', display: 'none',
+    flexDirection: 'column', background: '#fff', borderRadius: '12px',
+    boxShadow: '0 4px 24px rgba(0,0,0,0.2)', font: '14px sans-serif', overflow: 'hidden',
+  });
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'CalmText chat');
+
+  var log = css(document.createElement('div'), { flex: '1', overflowY: 'auto', padding: '12px' });
+  log.setAttribute('aria-live', 'polite');
+
+  var form = css(document.createElement('form'), { display: 'flex', borderTop: '1px solid #ddd' });
+  var input = css(document.createElement('input'), { flex: '1', padding: '10px', border: 'none', font: 'inherit' });
+  input.placeholder = 'Type a message...';
+  input.maxLength = 1000;
+  input.setAttribute('aria-label', 'Message');
+  var send = css(document.createElement('button'), {
+    padding: '0 14px', border: 'none', background: '#4a6fa5', color: '#fff', cursor: 'pointer',
+  });
+  send.type = 'submit';
+  send.textContent = 'Send';
+
+  form.appendChild(input);
+  form.appendChild(send);
+  panel.appendChild(log);
+  panel.appendChild(form);
+
+  /**
+   * Add a message to the log (text only, never HTML)
+   */
+  function addMessage(text, fromUser) {
+    var bubble = css(document.createElement('div'), {
+      margin: '6px 0', padding: '8px 12px', borderRadius: '12px', maxWidth: '85%',
+      whiteSpace: 'pre-wrap', wordWrap: 'break-word',
+      background: fromUser ? '#4a6fa5' : '#f0f2f5', color: fromUser ? '#fff' : '#222',
+      marginLeft: fromUser ? 'auto' : '0',
+    });
+    bubble.textContent = text;
+    log.appendChild(bubble);
+    log.scrollTop = log.scrollHeight;
+  }
+
+  /**
+   * Listen for replies (EventSource reconnects on its own after network drops)
+   */
+  function connect() {
+    if (events) events.close();
+
+    events = new EventSource(BASE_URL + '/web/events?token=' + encodeURIComponent(token));
+    events.addEventListener('message', function (event) {
+      addMessage(JSON.parse(event.data).text, false);
+    });
+  }
+
+  function start(forceNew) {
+    return getToken(forceNew).then(function (newToken) {
+      token = newToken;
+      connect();
+    });
+  }
+
+  function postMessage(text) {
+    return fetch(BASE_URL + '/web/messages', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ' + token },
+      body: JSON.stringify({ message: text }),
+    });
+  }
+
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    var text = input.value.trim();
+    if (!text) return;
+
+    input.value = '';
+    addMessage(text, true);
+
+    postMessage(text)
+      .then(function (res) {
+        // Expired session: start a new one and try once more
+        if (res.status === 401) {
+          return start(true).then(function () { return postMessage(text); });
+        }
+        return res;
+      })
+      .then(function (res) {
+        if (!res.ok) throw new Error('Send failed');
+      })
+      .catch(function () {
+        addMessage("Sorry, that didn't send. " + help, false);
+      });
+  });
+
+  launcher.addEventListener('click', function () {
+    var open = panel.style.display === 'none';
+    panel.style.display = open ? 'flex' : 'none';
+
+    if (open && !token) {
+      start(false).catch(function () {
+        addMessage("I can't connect right now. " + help, false);
+      });
+    }
+    if (open) input.focus();
+  });
+
+  document.body.appendChild(panel);
+  document.body.appendChild(launcher);
+})();
@@ -1,106 +1,109 @@
 // AI Engine - Claude-powered conversational AI for mental health support
-import Anthropic from '@anthropic-ai/sdk';
 import dotenv from 'dotenv';
 import logger from './logger.js';
 import sessionManager from './sessionManager.js';
+import crisisResources from './crisisResources.js';
+import llmProvider from './llmProvider.js';
+import promptRegistry from './promptRegistry.js';
+import outputGuard from './outputGuard.js';
+import conversationSummary from './conversationSummary.js';
+import usageTracker from './usageTracker.js';
+import messageInsights from './messageInsights.js';
+import userSettings from './userSettings.js';
 
 dotenv.config();
 
-const client = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
-
-// System prompt for mental health support
-const SYSTEM_PROMPT = `You are a compassionate mental health support chatbot designed specifically for teenagers. Your role is to provide empathetic, supportive, and age-appropriate guidance.
-
-CORE PRINCIPLES:
-1. Be warm, empathetic, and non-judgmental
-2. Use teen-friendly language (avoid clinical jargon)
-3. Validate their feelings and experiences
-4. Never diagnose or prescribe medication
-5. Always prioritize safety
-6. Encourage professional help when appropriate
-7. Respect confidentiality while maintaining safety protocols
-
-COMMUNICATION STYLE:
-- Keep responses concise (SMS-friendly, 2-4 sentences usually)
-- Use a friendly, supportive tone
-- Ask open-ended questions to encourage sharing
-- Reflect their emotions back to show understanding
-- Avoid sounding preachy or lecturing
-- Use "I" statements ("I hear that..." rather than "You should...")
-
-SAFETY PROTOCOLS:
-- If someone expresses suicidal thoughts, self-harm, or abuse, prioritize their immediate safety
-- Provide crisis resources when needed (988, Crisis Text Line)
-- Encourage them to talk to trusted adults
-- Never dismiss or minimize serious concerns
-- Document high-risk interactions for professional review
-
-BOUNDARIES:
-- You are a support tool, not a replacement for therapy
-- Encourage professional help for ongoing concerns
-- Don't provide medical advice
-- Don't make promises you can't keep
-- Respect if they don't want to share something
-
-TOPICS YOU HELP WITH:
-- Stress and anxiety
-- Depression and sadness
-- Friendship and relationship issues
-- Family conflicts
-- School pressure and academic stress
-- Self-esteem and identity
-- LGBTQ+ concerns
-- Bullying
-- Loneliness and isolation
-- General emotional support
-
-Remember: You're here to listen, support, and guide them toward appropriate resources. Every conversation matters.`;
-
 /**
  * Generate AI response based on user message and context
  */
 export async function generateResponse(userMessage, phoneNumber, context = {}) {
   try {
-    const startTime = Date.now();
+    // Over the hard budget: a template instead of a model call
+    const budget = await usageTracker.checkBudget(phoneNumber, { inCrisis: Boolean(context.flags?.inCrisis) });
+
+    if (budget.status === 'hard') {
+      return {
+        success: true,
+        message: getTemplateResponse(context, phoneNumber),
+        model: null,
+        budget: budget.status,
+        usage: { inputTokens: 0, outputTokens: 0, cost: 0 },
+      };
+    }
+
+    // Model calls keep failing (circuit open): templates until it recovers
+    if (!llmProvider.isAvailable()) {
+      logger.warn('Model unavailable, sending template reply', { phoneNumber: phoneNumber.slice(-4) });
+
+      return {
+        success: true,
+        message: getTemplateResponse(context, phoneNumber),
+        model: null,
+        budget: budget.status,
+        degraded: true,
+        usage: { inputTokens: 0, outputTokens: 0, cost: 0 },
+      };
+    }
+
+    // Over the soft budget: cheaper model, shorter replies, fewer regenerations
+    const economy = budget.status === 'soft';
 
     // Build conversation history for context
     const messages = await buildConversationMessages(userMessage, context);
-
-    // Call Claude API
-    const response = await client.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 500, // Keep responses concise for SMS
-      temperature: 0.7,
-      system: buildSystemPrompt(context),
-      messages: messages,
+    const prompt = promptRegistry.getSystemPromptForUser(phoneNumber);
+    const systemPrompt = buildSystemPrompt(prompt.text, context, phoneNumber);
+    let model = null;
+
+    // Drafts that break the output policy are regenerated with feedback
+    const guarded = await outputGuard.guardReply(async (feedback) => {
+      const response = await llmProvider.complete({
+        purpose: 'chat',
+        economy,
+        phoneNumber,
+        maxTokens: economy ? 250 : 500, // Keep responses concise for SMS
+        temperature: 0.7,
+        system: feedback ? systemPrompt + feedback : systemPrompt,
+        messages: messages,
+      });
+
+      model = response.model;
+      return response;
+    }, {
+      path: 'aiEngine',
+      phoneNumber,
+      fallback: outputGuard.getFallbackTemplate(context, phoneNumber),
+      ...(economy ? { maxRetries: 1 } : {}),
     });
 
-    const duration = Date.now() - startTime;
-
-    // Log API call
-    logger.logAPICall('anthropic', 'messages.create', duration, 'success');
-
-    const assistantMessage = response.content[0].text;
-
-    // Ensure response is SMS-friendly (split if too long)
-    const finalResponse = ensureSMSFriendly(assistantMessage);
-
     return {
       success: true,
-      message: finalResponse,
-      usage: {
-        inputTokens: response.usage.input_tokens,
-        outputTokens: response.usage.output_tokens,
+      message: guarded.text,
+      model,
+      promptVersion: prompt.id,
+      budget: budget.status,
+      guard: {
+        attempts: guarded.attempts,
+        violations: guarded.violations.map(v => v.rule),
+        usedFallback: guarded.usedFallback,
       },
+      usage: guarded.usage,
     };
   } catch (error) {
     logger.logError(error, { phoneNumber, userMessage: userMessage.substring(0, 50) });
 
+    // The circuit opened while this reply was being written
+    if (error.type === 'circuit_open_error') {
+      return {
+        success: false,
+        message: getTemplateResponse(context, phoneNumber),
+        degraded: true,
+        error: error.message,
+      };
+    }
+
     return {
       success: false,
-      message: getFallbackResponse(context),
+      message: getFallbackResponse(context, phoneNumber),
       error: error.message,
     };
   }
@@ -109,13 +112,26 @@ export async function generateResponse(userMessage, phoneNumber, context = {}) {
 /**
  * Build system prompt with context
  */
-function buildSystemPrompt(context) {
-  let prompt = SYSTEM_PROMPT;
+function buildSystemPrompt(basePrompt, context, phoneNumber = null) {
+  const hotlines = crisisResources.getHotlineSummary(crisisResources.getCountryForPhoneNumber(phoneNumber));
+  let prompt = promptRegistry.fillPrompt(basePrompt, { hotlines });
 
-  if (context.isFirstTime) {
+  if (context.isFirstTime && context.summary) {
+    prompt += `\n\nCONTEXT: This user is coming back after a break. Welcome them back warmly; don't introduce yourself again.`;
+  } else if (context.isFirstTime) {
     prompt += `\n\nCONTEXT: This is the user's first message. Introduce yourself warmly and ask how you can help.`;
   }
 
+  if (context.summary) {
+    prompt += `\n\nMEMORY FROM EARLIER CONVERSATIONS (use it to follow up naturally; don't recite it back):\n` +
+      conversationSummary.formatSummaryForPrompt(context.summary);
+  }
+
+  const preferences = userSettings.formatSettingsForPrompt(context.preferences);
+  if (preferences) {
+    prompt += `\n\nUSER PREFERENCES (they chose these in SETTINGS; follow them):\n${preferences}`;
+  }
+
   if (context.riskLevel && context.riskLevel !== 'none') {
     prompt += `\n\nALERT: This user has shown signs of ${context.riskLevel} risk. Be extra supportive and watch for crisis indicators.`;
   }
@@ -125,11 +141,23 @@ function buildSystemPrompt(context) {
   }
 
   if (context.mood) {
-    prompt += `\n\nCONTEXT: User's recent mood seems to be: ${context.mood}.`;
+    const intensity = context.moodIntensity ? ` (intensity ${context.moodIntensity}/5)` : '';
+    prompt += `\n\nCONTEXT: User's recent mood seems to be: ${context.mood}${intensity}.`;
   }
 
   if (context.flags?.inCrisis) {
-    prompt += `\n\nALERT: User may be in crisis. Continue providing support and encourage professional help.`;
+    prompt += `\n\nFOLLOW-UP MODE: This user recently sent messages indicating a crisis and has already been given crisis resources.`;
+
+    if (context.crisisFollowUp?.categories?.length) {
+      prompt += ` Concerns flagged: ${context.crisisFollowUp.categories.join(', ')}.`;
+    }
+
+    prompt += `
+- Gently check on their safety right now before anything else
+- Keep replies short, calm and warm; don't change the subject or ask intense questions
+- Ask whether they've been able to reach a trusted adult or a crisis line (for them: ${hotlines}), and encourage it if not
+- Don't treat them as "fine" because one message sounds better; stay attentive
+- Never promise to keep secrets about their safety`;
   }
 
   return prompt;
@@ -156,42 +184,36 @@ async function buildConversationMessages(currentMessage, context) {
 }
 
 /**
- * Ensure response is SMS-friendly (max 1600 chars)
+ * Get the templated reply used while over the hard usage budget or while the model is down
  */
-function ensureSMSFriendly(message) {
-  const MAX_SMS_LENGTH = 1600;
-
-  if (message.length <= MAX_SMS_LENGTH) {
-    return message;
-  }
-
-  // Split at sentence boundaries
-  const sentences = message.match(/[^.!?]+[.!?]+/g) || [message];
-  let result = '';
-
-  for (const sentence of sentences) {
-    if ((result + sentence).length <= MAX_SMS_LENGTH - 50) {
-      result += sentence;
-    } else {
-      break;
-    }
+function getTemplateResponse(context, phoneNumber = null) {
+  if (context.flags?.inCrisis) {
+    return getFallbackResponse(context, phoneNumber);
   }
 
-  // Add continuation message
-  result += '\n\n(Message continued in next text)';
+  const hotlines = crisisResources.getHotlineSummary(crisisResources.getCountryForPhoneNumber(phoneNumber));
 
-  return result.trim();
+  return `I can't give you a full reply right now, but I'm still here. ` +
+    `Text BREATHE or GROUNDING for a quick exercise, or COPING for ideas. ` +
+    `If you need someone to talk to now, ${hotlines}.`;
 }
 
 /**
  * Get fallback response when AI fails
  */
-function getFallbackResponse(context) {
+function getFallbackResponse(context, phoneNumber = null) {
+  const country = crisisResources.getCountryForPhoneNumber(phoneNumber);
+  const hotlines = crisisResources.getHotlineSummary(country);
+
   if (context.flags?.inCrisis) {
-    return `I'm having trouble responding right now, but I want to make sure you're safe. Please reach out:\n\n= Call 988 (Suicide & Crisis Lifeline)\n= Text "HELLO" to 741741\n\nThese are free and available 24/7.`;
+    const resourceLines = crisisResources.getResources(country, ['suicide', 'crisisText'])
+      .map(resource => `${resource.name}: ${resource.contact}`);
+
+    return `I'm having trouble responding right now, but I want to make sure you're safe. Please reach out:\n\n` +
+      `${resourceLines.join('\n')}\n\nThese are free and available 24/7.`;
   }
 
-  return `I'm having a moment of technical difficulty, but I'm here for you. Could you tell me again what's on your mind? If you need immediate help, call 988 or text "HELLO" to 741741.`;
+  return `I'm having a moment of technical difficulty, but I'm here for you. Could you tell me again what's on your mind? If you need immediate help, ${hotlines}.`;
 }
 
 /**
@@ -220,58 +242,17 @@ export function generateCheckInMessage(userProfile) {
 }
 
 /**
- * Analyze message sentiment (basic implementation)
+ * Analyze message sentiment from keywords (offline fallback; see messageInsights for the model version)
  */
 export function analyzeSentiment(message) {
-  const lowerMessage = message.toLowerCase();
-
-  const positiveWords = ['good', 'great', 'happy', 'better', 'okay', 'fine', 'thanks', 'grateful'];
-  const negativeWords = ['bad', 'sad', 'terrible', 'awful', 'horrible', 'depressed', 'anxious', 'worried'];
-  const neutralWords = ['okay', 'fine', 'alright'];
-
-  let positiveCount = 0;
-  let negativeCount = 0;
-
-  positiveWords.forEach(word => {
-    if (lowerMessage.includes(word)) positiveCount++;
-  });
-
-  negativeWords.forEach(word => {
-    if (lowerMessage.includes(word)) negativeCount++;
-  });
-
-  if (negativeCount > positiveCount) return 'negative';
-  if (positiveCount > negativeCount) return 'positive';
-  return 'neutral';
+  return messageInsights.getKeywordInsights(message).sentiment;
 }
 
 /**
- * Extract topic from message (basic implementation)
+ * Extract the main topic from keywords (offline fallback; see messageInsights for the model version)
  */
 export function extractTopic(message) {
-  const lowerMessage = message.toLowerCase();
-
-  const topics = {
-    school: ['school', 'class', 'homework', 'teacher', 'grade', 'test', 'exam', 'college'],
-    family: ['mom', 'dad', 'parent', 'family', 'brother', 'sister', 'sibling', 'home'],
-    friends: ['friend', 'friendship', 'peer', 'classmate', 'people'],
-    relationship: ['boyfriend', 'girlfriend', 'dating', 'relationship', 'crush', 'love'],
-    anxiety: ['anxious', 'anxiety', 'worried', 'nervous', 'panic', 'stress', 'overwhelmed'],
-    depression: ['depressed', 'sad', 'depression', 'hopeless', 'empty', 'numb'],
-    selfEsteem: ['ugly', 'fat', 'worthless', 'hate myself', 'insecure', 'confidence'],
-    bullying: ['bully', 'bullying', 'teasing', 'mean', 'picking on'],
-    lgbtq: ['gay', 'lesbian', 'trans', 'queer', 'lgbtq', 'coming out', 'sexuality', 'gender'],
-  };
-
-  for (const [topic, keywords] of Object.entries(topics)) {
-    for (const keyword of keywords) {
-      if (lowerMessage.includes(keyword)) {
-        return topic;
-      }
-    }
-  }
-
-  return 'general';
+  return messageInsights.getKeywordInsights(message).topics[0];
 }
 
 /**
@@ -0,0 +1,113 @@
+// Channels Module - Send replies over whichever channel a user wrote in on (SMS, WhatsApp or web chat)
+import twilio from './twilio.js';
+import whatsapp from './whatsapp.js';
+import webChat from './webChat.js';
+import logger from './logger.js';
+
+// Channel senders: send(userId, text, options) for one message, sendLong(userId, text) for a reply of
+// any length, returning { success, parts, segments, encoding, cost }. User ids are phone numbers for
+// SMS and prefixed ids (e.g. "whatsapp:+1...", "web:...") for other channels, so the same person on
+// two channels is two users. options.template names the template for messages the user didn't prompt.
+const channels = {
+  sms: {
+    label: 'user',
+    send: twilio.sendSMS,
+    sendLong: twilio.sendLongSMS,
+  },
+  whatsapp: {
+    label: 'WhatsApp user',
+    prefix: twilio.WHATSAPP_PREFIX,
+    send: whatsapp.sendMessage,
+    // WhatsApp has no segments and is priced per conversation, so replies go as one message
+    sendLong: async (userId, text) => ({
+      ...await whatsapp.sendMessage(userId, text),
+      parts: 1,
+      segments: 0,
+      encoding: null,
+      cost: 0,
+    }),
+  },
+  web: {
+    label: 'web chat user',
+    prefix: webChat.USER_PREFIX,
+    send: webChat.sendMessage,
+    // Web chat has no length limit or per-segment cost
+    sendLong: async (userId, text) => ({
+      ...await webChat.sendMessage(userId, text),
+      parts: 1,
+      segments: 0,
+      encoding: null,
+      cost: 0,
+    }),
+  },
+};
+
+/**
+ * Register (or replace) a channel
+ */
+export function registerChannel(name, channel) {
+  channels[name] = channel;
+}
+
+/**
+ * Get the channel a user id belongs to (SMS unless it has another channel's prefix)
+ */
+export function getChannelName(userId) {
+  const match = Object.entries(channels).find(([, channel]) => channel.prefix && userId?.startsWith(channel.prefix));
+  return match ? match[0] : 'sms';
+}
+
+/**
+ * Twilio MessageSids of a send (one per part), for matching delivery status callbacks
+ */
+function getMessageSids(result) {
+  return (result.results || [result]).map(part => part.messageSid).filter(Boolean);
+}
+
+/**
+ * Send one message to a user on their channel
+ * (options.template: the template to use where the channel needs one, e.g. "check_in")
+ * Returns { success, channel, messageSids }
+ */
+export async function sendMessage(userId, text, options = {}) {
+  const name = getChannelName(userId);
+
+  try {
+    const result = await channels[name].send(userId, text, options);
+    return { ...result, channel: name, messageSids: getMessageSids(result) };
+  } catch (error) {
+    logger.error('Failed to send message', { error: error.message, channel: name, userId: userId.slice(-4) });
+    return { success: false, error: error.message, channel: name, messageSids: [] };
+  }
+}
+
+/**
+ * Send a reply of any length to a user on their channel
+ * Returns { success, channel, messageSids, parts, segments, encoding, cost }
+ */
+export async function sendLongMessage(userId, text) {
+  const name = getChannelName(userId);
+
+  try {
+    const result = await channels[name].sendLong(userId, text);
+    return { ...result, channel: name, messageSids: getMessageSids(result) };
+  } catch (error) {
+    logger.error('Failed to send message', { error: error.message, channel: name, userId: userId.slice(-4) });
+    return { success: false, error: error.message, channel: name, messageSids: [], parts: 0, segments: 0, encoding: null, cost: 0 };
+  }
+}
+
+/**
+ * Describe a user for staff without identifying them (e.g. "web chat user ending 1a2b")
+ */
+export function describeUser(userId) {
+  return `${channels[getChannelName(userId)].label} ending ${userId.slice(-4)}`;
+}
+
+export default {
+  registerChannel,
+  getChannelName,
+  sendMessage,
+  sendLongMessage,
+  describeUser,
+};
@@ -1,5 +1,9 @@
 // Commands Module - Handle special user commands
-import safety from './safety.js';
+import safetyPlan from './safetyPlan.js';
+import guidedExercise from './guidedExercise.js';
+import userSettings from './userSettings.js';
+import crisisResources from './crisisResources.js';
+import conversationSummary from './conversationSummary.js';
 import logger from './logger.js';
 
 /**
@@ -8,14 +12,11 @@ import logger from './logger.js';
 export function isCommand(message) {
   const lowerMessage = message.trim().toLowerCase();
   return lowerMessage.startsWith('/') ||
-         lowerMessage === 'help' ||
-         lowerMessage === 'resources' ||
-         lowerMessage === 'crisis' ||
-         lowerMessage === 'stop';
+         getCommandList().includes(lowerMessage);
 }
 
 /**
- * Parse and execute command
+ * Parse and execute command (replies follow the user's settings)
  */
 export async function handleCommand(message, phoneNumber) {
   const lowerMessage = message.trim().toLowerCase();
@@ -23,18 +24,41 @@ export async function handleCommand(message, phoneNumber) {
   // Remove leading slash if present
   const commandText = lowerMessage.startsWith('/') ? lowerMessage.slice(1) : lowerMessage;
 
+  const settings = phoneNumber ? await userSettings.getSettings(phoneNumber) : userSettings.DEFAULT_SETTINGS;
+  const reply = await runCommand(commandText, phoneNumber, settings);
+
+  return userSettings.applyToTemplate(reply, settings);
+}
+
+/**
+ * Execute a parsed command
+ */
+async function runCommand(commandText, phoneNumber, settings) {
   switch (commandText) {
     case 'help':
-      return getHelpMessage();
+      return getHelpMessage(settings);
 
     case 'resources':
     case 'crisis':
-      return getCrisisResourcesMessage();
+      return getCrisisResourcesMessage(phoneNumber);
 
     case 'safetyplan':
     case 'safety plan':
     case 'safety':
-      return safety.getSafetyPlanPrompt();
+      return await safetyPlan.startSafetyPlan(phoneNumber);
+
+    case 'myplan':
+    case 'my plan':
+      return await safetyPlan.getMyPlanMessage(phoneNumber);
+
+    case 'memory':
+      return await conversationSummary.getMemoryMessage(phoneNumber);
+
+    case 'forget':
+      return await conversationSummary.getForgetMessage(phoneNumber);
+
+    case 'settings':
+      return await userSettings.startSettings(phoneNumber);
 
     case 'topics':
       return getTopicsMessage();
@@ -44,24 +68,28 @@ export async function handleCommand(message, phoneNumber) {
 
     case 'stop':
     case 'unsubscribe':
-      return getStopMessage();
+      if (phoneNumber) {
+        await guidedExercise.cancelExercise(phoneNumber);
+      }
+      return getStopMessage(phoneNumber);
 
     case 'start':
     case 'resume':
-      return getResumeMessage();
+      return getResumeMessage(settings);
 
     case 'checkin':
     case 'check in':
     case 'check-in':
-      return getCheckInResponse();
+      return getCheckInResponse(settings);
 
+    // Guided one step at a time; without a number to pace messages to, the whole exercise at once
     case 'breathe':
     case 'breathing':
-      return getBreathingExercise();
+      return phoneNumber ? await guidedExercise.startExercise(phoneNumber, 'breathe') : getBreathingExercise();
 
     case 'grounding':
     case 'ground':
-      return getGroundingExercise();
+      return phoneNumber ? await guidedExercise.startExercise(phoneNumber, 'grounding') : getGroundingExercise();
 
     case 'coping':
       return getCopingStrategies();
@@ -75,11 +103,15 @@ export async function handleCommand(message, phoneNumber) {
 /**
  * Get help message
  */
-function getHelpMessage() {
-  return `Available commands:\n\n` +
+function getHelpMessage(settings = {}) {
+  return `${settings.nickname ? `Hi ${settings.nickname}! ` : ''}Available commands:\n\n` +
     `" HELP - Show this message\n` +
     `" RESOURCES - Crisis hotlines & support\n` +
     `" SAFETYPLAN - Create a safety plan\n` +
+    `" MYPLAN - See your safety plan\n` +
+    `" MEMORY - What I remember about you\n` +
+    `" FORGET - Erase what I remember\n` +
+    `" SETTINGS - Nickname, pronouns, tone & more\n` +
     `" TOPICS - What I can help with\n` +
     `" BREATHE - Breathing exercise\n` +
     `" GROUNDING - Grounding technique\n` +
@@ -90,18 +122,10 @@ function getHelpMessage() {
 }
 
 /**
- * Get crisis resources message
+ * Get crisis resources message for the user's country
  */
-function getCrisisResourcesMessage() {
-  return `< CRISIS RESOURCES <\n\n` +
-    `If you're in immediate danger, call 911.\n\n` +
-    `24/7 Free & Confidential Support:\n\n` +
-    `= 988 - Suicide & Crisis Lifeline\n` +
-    `= Text "HELLO" to 741741 - Crisis Text Line\n` +
-    `< 1-866-488-7386 - Trevor Project (LGBTQ+ Youth)\n` +
-    `=h=i=g 1-800-422-4453 - Childhelp (Abuse Hotline)\n` +
-    `> 1-800-662-4357 - SAMHSA (Substance Abuse)\n\n` +
-    `You're not alone. These people care and want to help.`;
+function getCrisisResourcesMessage(phoneNumber = null) {
+  return crisisResources.formatResourcesMessage(crisisResources.getCountryForPhoneNumber(phoneNumber));
 }
 
 /**
@@ -142,26 +166,28 @@ function getAboutMessage() {
 /**
  * Get stop message
  */
-function getStopMessage() {
+function getStopMessage(phoneNumber = null) {
+  const hotlines = crisisResources.getHotlineSummary(crisisResources.getCountryForPhoneNumber(phoneNumber));
+
   return `I understand. I'll pause sending you messages.\n\n` +
     `If you ever want to talk again, just text "START" or message me anytime.\n\n` +
-    `Remember: If you're in crisis, help is always available at 988 or text "HELLO" to 741741.\n\n` +
+    `Remember: If you're in crisis, help is always available - ${hotlines}.\n\n` +
     `Take care of yourself. =`;
 }
 
 /**
  * Get resume message
  */
-function getResumeMessage() {
-  return `Welcome back! I'm glad you're here. =\n\n` +
+function getResumeMessage(settings = {}) {
+  return `${userSettings.greet('Welcome back!', settings)} I'm glad you're here. =\n\n` +
     `How have you been? Is there anything you'd like to talk about?`;
 }
 
 /**
  * Get check-in response
  */
-function getCheckInResponse() {
-  return `Thanks for checking in! How are you feeling right now?\n\n` +
+function getCheckInResponse(settings = {}) {
+  return `${userSettings.greet('Thanks for checking in!', settings)} How are you feeling right now?\n\n` +
     `You can rate your mood 1-10, or just tell me what's going on.`;
 }
 
@@ -222,6 +248,11 @@ export function getCommandList() {
     'safetyplan',
     'safety plan',
     'safety',
+    'myplan',
+    'my plan',
+    'memory',
+    'forget',
+    'settings',
     'topics',
     'about',
     'stop',
@@ -0,0 +1,301 @@
+// Crisis Context Module - Confidence scoring for keyword hits (negation, hypotheticals, third parties)
+import { CLAUSE_BREAK, QUOTE } from './crisisMatcher.js';
+
+// Hits at or above this confidence are trusted without an AI check
+export const CONFIDENCE_THRESHOLD = 0.75;
+
+// Hits below this confidence are dismissed (kept on the assessment for auditing)
+export const DISMISS_THRESHOLD = 0.3;
+
+// How much each kind of context lowers confidence in a hit
+export const CONTEXT_WEIGHTS = {
+  negated: 0.2,        // "I would never kill myself"
+  benign: 0.15,        // "I forgot my allergy pills"
+  quoted: 0.35,        // the song goes "I want to die"
+  fiction: 0.35,       // a character in my book wants to die
+  thirdParty: 0.4,     // my friend wants to die
+  hypothetical: 0.6,   // what if someone wanted to die
+  joking: 0.6,         // I'm going to die lol
+  slang: 0.5,          // gonna attack this homework (no person on the receiving end)
+  insistent: 1.5,      // I'm not joking, I want to die
+};
+
+// Negations only count when they come just before the phrase
+const NEGATION_WINDOW = 4;
+
+const NEGATIONS = ['not', 'never', 'dont', 'doesnt', 'didnt', 'wont', 'wouldnt', 'isnt', 'arent', 'wasnt', 'no'];
+
+// Words that can sit between a negation and the phrase it negates ("never really want to kill myself");
+// anything else ("not ok i want to die") means the negation belongs to something else
+const NEGATION_BRIDGES = [
+  'really', 'ever', 'even', 'actually', 'truly', 'seriously', 'want', 'wanna', 'to', 'going', 'gonna',
+  'try', 'trying', 'plan', 'planning',
+];
+
+// Words that start a new clause ("I'm not okay but I want to die")
+const CLAUSE_WORDS = ['but', 'though', 'although', 'and'];
+
+const HYPOTHETICALS = ['if', 'hypothetically', 'imagine', 'pretend', 'suppose', 'supposing'];
+
+const FIRST_PERSON = ['i', 'im', 'ive', 'id', 'ill', 'me', 'my', 'myself'];
+
+const THIRD_PARTIES = [
+  'he', 'she', 'they', 'hes', 'shes', 'theyre', 'him', 'her', 'them', 'someone', 'somebody',
+  'people', 'friend', 'friends', 'bestie', 'bff', 'sister', 'brother', 'cousin', 'classmate',
+  'boyfriend', 'girlfriend', 'guy', 'girl', 'kid',
+];
+
+// Only these categories describe the speaker; abuse and threats are about others by nature
+const SELF_CATEGORIES = ['suicide', 'selfHarm', 'medicalDistress'];
+
+// Who a critical phrase can land on, and the words that can come before them ("my brother")
+const PEOPLE = [
+  ...THIRD_PARTIES, 'me', 'myself', 'you', 'us', 'everyone', 'everybody', 'anyone', 'anybody',
+  'mom', 'dad', 'parents', 'family', 'teacher', 'teachers', 'classmates',
+];
+const DETERMINERS = ['the', 'a', 'an', 'this', 'that', 'these', 'those', 'my', 'his', 'their', 'our', 'your', 'some', 'all'];
+
+const FICTION = [
+  'character', 'characters', 'book', 'story', 'novel', 'movie', 'film', 'show', 'episode',
+  'song', 'lyrics', 'poem', 'essay', 'anime', 'scene', 'script', 'fanfic',
+];
+
+const JOKING = ['lol', 'lmao', 'lmfao', 'jk', 'haha', 'hehe', 'kidding', 'joking', 'xd'];
+
+// Everyday senses of crisis phrases, by keyword: words anywhere in the message that point to them
+const BENIGN_CONTEXTS = {
+  'pills': [
+    'allergy', 'allergies', 'vitamin', 'vitamins', 'birth', 'prescription', 'prescribed',
+    'antibiotics', 'doctor', 'pharmacy', 'headache', 'refill', 'forgot',
+  ],
+  'can\'t breathe': ['laughing', 'lol', 'lmao', 'funny', 'hilarious', 'stuffy', 'congested'],
+  'heart racing': [
+    'soccer', 'practice', 'running', 'workout', 'gym', 'coffee', 'caffeine', 'crush',
+    'excited', 'race', 'exercise', 'cardio', 'game',
+  ],
+  'chest pain': ['workout', 'gym', 'pushups', 'bench', 'lifting', 'sore'],
+  'severe pain': ['cramps', 'period', 'tooth', 'braces', 'wisdom', 'ankle', 'sprained'],
+  'going to die': [
+    'test', 'exam', 'quiz', 'embarrassment', 'cringe', 'boredom', 'bored', 'laughing',
+    'hilarious', 'funny',
+  ],
+  'overdose': ['caffeine', 'coffee', 'sugar', 'candy', 'chocolate'],
+  'relapsed': ['vaping', 'vape', 'sugar', 'junk', 'diet', 'candy', 'tiktok', 'procrastinating'],
+  'kill them': ['game', 'fortnite', 'minecraft', 'roblox', 'valorant', 'boss', 'zombies', 'match', 'level'],
+  'going to attack': ['game', 'fortnite', 'boss', 'raid', 'team', 'match'],
+  'shoot up': ['basketball', 'hoops', 'ball', 'grew', 'growth', 'tall', 'inches'],
+  'jump off': ['diving', 'pool', 'trampoline', 'dock', 'bed', 'couch', 'swing'],
+  'losing control': ['car', 'bike', 'skateboard', 'controller'],
+  'make them pay': ['bill', 'bills', 'rent', 'money', 'tab', 'dinner', 'lunch'],
+  'scared of them': ['spiders', 'dogs', 'clowns', 'snakes', 'bees', 'heights'],
+  'touches me': ['song', 'music', 'story', 'movie', 'lyrics', 'poem', 'deeply'],
+  'beats me': ['game', 'fortnite', 'chess', 'race', 'tennis', 'basketball', 'minecraft', 'idk'],
+};
+
+// Idioms that start with a crisis phrase, by keyword: the word right after it ("hitting me up")
+const CUTTING_IDIOMS = ['back', 'down', 'carbs', 'sugar', 'class'];
+const BENIGN_IDIOMS = {
+  'hitting me': ['up'],
+  'been cutting': CUTTING_IDIOMS,
+  'started cutting': CUTTING_IDIOMS,
+};
+
+/**
+ * Check a token (as typed or with repeats collapsed) against a word list
+ */
+function isWord(prepared, index, words) {
+  return words.includes(prepared.tokens[index]) || words.includes(prepared.squeezed[index]);
+}
+
+/**
+ * Find the token range of the clause around a match
+ */
+function getClause(prepared, match) {
+  const { tokens } = prepared;
+  const isBoundary = i => tokens[i] === CLAUSE_BREAK || CLAUSE_WORDS.includes(tokens[i]);
+
+  let start = match.start;
+  while (start > 0 && !isBoundary(start - 1)) start--;
+
+  let end = match.end;
+  while (end < tokens.length && !isBoundary(end)) end++;
+
+  return { start, end };
+}
+
+/**
+ * Check whether a negation comes just before a token, with nothing but bridge words in between
+ */
+function isNegatedAt(prepared, index, clause) {
+  const from = Math.max(clause.start, index - NEGATION_WINDOW);
+
+  for (let i = index - 1; i >= from; i--) {
+    if (isWord(prepared, i, NEGATIONS)) {
+      return true;
+    }
+    if (!isWord(prepared, i, NEGATION_BRIDGES)) {
+      return false;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check whether the message says it's a joke, and whether it says it isn't ("not kidding")
+ */
+function getJokeContext(prepared) {
+  let joking = prepared.tokens.some(token => /^(ha){3,}/.test(token));
+  let insistent = false;
+
+  for (let i = 0; i < prepared.tokens.length; i++) {
+    if (!isWord(prepared, i, JOKING)) {
+      continue;
+    }
+
+    if (isNegatedAt(prepared, i, getClause(prepared, { start: i, end: i + 1 }))) {
+      insistent = true;
+    } else {
+      joking = true;
+    }
+  }
+
+  return { joking, insistent };
+}
+
+/**
+ * Check whether the phrase sits inside a closed pair of quotes
+ */
+function isQuoted(prepared, match) {
+  const before = prepared.tokens.slice(0, match.start).filter(token => token === QUOTE).length;
+  const after = prepared.tokens.slice(match.end).includes(QUOTE);
+
+  return before % 2 === 1 && after;
+}
+
+/**
+ * Check whether the nearest subject before the phrase is someone else
+ */
+function isAboutSomeoneElse(prepared, match, clause) {
+  if (!SELF_CATEGORIES.includes(match.category)) {
+    return false;
+  }
+
+  // "kill myself", "hurt myself" name their own subject
+  for (let i = match.start; i < match.end; i++) {
+    if (isWord(prepared, i, FIRST_PERSON)) {
+      return false;
+    }
+  }
+
+  for (let i = match.start - 1; i >= clause.start; i--) {
+    if (isWord(prepared, i, FIRST_PERSON)) {
+      return false;
+    }
+    if (isWord(prepared, i, THIRD_PARTIES)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check whether a phrase names a person, or is followed by one ("attack him", "kill myself")
+ */
+function hasPersonObject(prepared, match) {
+  if (rangeHasWord(prepared, match.start, match.end, PEOPLE)) {
+    return true;
+  }
+
+  for (let i = match.end; i < prepared.tokens.length; i++) {
+    if (isWord(prepared, i, PEOPLE)) {
+      return true;
+    }
+    if (!isWord(prepared, i, DETERMINERS)) {
+      return false;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check whether any token in a range is in a word list
+ */
+function rangeHasWord(prepared, from, to, words) {
+  for (let i = from; i < to; i++) {
+    if (isWord(prepared, i, words)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Score a keyword hit in the context of its message
+ * Returns { confidence, modifiers } where modifiers name each context found
+ */
+export function analyzeMatch(prepared, match) {
+  const clause = getClause(prepared, match);
+  const messageEnd = prepared.tokens.length;
+  const modifiers = [];
+
+  if (isNegatedAt(prepared, match.start, clause)) {
+    modifiers.push('negated');
+  }
+
+  if (
+    rangeHasWord(prepared, 0, messageEnd, BENIGN_CONTEXTS[match.phrase] || []) ||
+    rangeHasWord(prepared, match.end, match.end + 1, BENIGN_IDIOMS[match.phrase] || [])
+  ) {
+    modifiers.push('benign');
+  }
+
+  if (isQuoted(prepared, match)) {
+    modifiers.push('quoted');
+  }
+
+  if (rangeHasWord(prepared, clause.start, clause.end, FICTION)) {
+    modifiers.push('fiction');
+  }
+
+  if (isAboutSomeoneElse(prepared, match, clause)) {
+    modifiers.push('thirdParty');
+  }
+
+  if (rangeHasWord(prepared, clause.start, match.start, HYPOTHETICALS)) {
+    modifiers.push('hypothetical');
+  }
+
+  // Shorthand can spell out a critical phrase by accident ("gonna attack this homework"):
+  // unless a person is on the receiving end, the AI check decides
+  if (match.slang && match.level === 'critical' && !hasPersonObject(prepared, match)) {
+    modifiers.push('slang');
+  }
+
+  const { joking, insistent } = getJokeContext(prepared);
+
+  if (joking) {
+    modifiers.push('joking');
+  }
+
+  if (insistent) {
+    modifiers.push('insistent');
+  }
+
+  const confidence = Math.min(modifiers.reduce((score, modifier) => score * CONTEXT_WEIGHTS[modifier], 1), 1);
+
+  return {
+    confidence: Math.round(confidence * 100) / 100,
+    modifiers,
+  };
+}
+
+export default {
+  CONFIDENCE_THRESHOLD,
+  DISMISS_THRESHOLD,
+  CONTEXT_WEIGHTS,
+  analyzeMatch,
+};
@@ -0,0 +1,133 @@
+// Crisis Corpus - Labeled messages for testing crisis detection
+// category is the risk category a message must be flagged (or considered) with, or null if it must not be flagged.
+
+// Slang, misspellings and obfuscations that must still be caught
+export const OBFUSCATED_CRISIS = [
+  { text: 'lowkey wanna kms', category: 'suicide' },
+  { text: 'kms', category: 'suicide' },
+  { text: 'i want to unalive myself', category: 'suicide' },
+  { text: 'i just want to unalive fr', category: 'suicide' },
+  { text: 'i might k!ll myself tonight', category: 'suicide' },
+  { text: 'gonna k1ll myself', category: 'suicide' },
+  { text: 'i want to k*ll myself', category: 'suicide' },
+  { text: 'im going to k.i.l.l myself', category: 'suicide' },
+  { text: 'wanna dieee', category: 'suicide' },
+  { text: 'i just wanna DIEEEEE', category: 'suicide' },
+  { text: 'i w a n t t o d i e', category: 'suicide' },
+  { text: 'k i l l m y s e l f', category: 'suicide' },
+  { text: 'ive been thinking about su1c1de', category: 'suicide' },
+  { text: 'having $uicidal thoughts again', category: 'suicide' },
+  { text: 'i keep thinking about suicde', category: 'suicide' },
+  { text: 'sewerslide is on my mind a lot', category: 'suicide' },
+  { text: 'i dont wanna be alive anymore', category: 'suicide' },
+  { text: 'i want to \u{1F52B} myself', category: 'suicide' },
+  { text: 'kiiiill myselfff', category: 'suicide' },
+  { text: 'i wanna cut myslef', category: 'selfHarm' },
+  { text: 'relapsed on sh last night', category: 'selfHarm' },
+  { text: 'been cuttin again', category: 'selfHarm' },
+  { text: 'gonna \u{1F52A} myself again', category: 'selfHarm' },
+  { text: 'my dad beatss me', category: 'abuse' },
+  { text: 'he keeps hittin me', category: 'abuse' },
+  { text: 'im gonna attack him after school', category: 'harmToOthers' },
+  { text: 'i literally cant breatheee', category: 'medicalDistress' },
+];
+
+// Everyday messages that must not be flagged
+export const SAFE_MESSAGES = [
+  { text: 'I had a good day today', category: null },
+  { text: 'my skills are getting better at guitar', category: null },
+  { text: 'this homework is overdue', category: null },
+  { text: 'my phone died during class', category: null },
+  { text: 'i want to dine out tonight', category: null },
+  { text: 'that concert was killer', category: null },
+  { text: 'lmao im so dead \u{1F480}', category: null },
+  { text: 'i dyed my hair blue', category: null },
+  { text: 'the kids in my class are so loud', category: null },
+  { text: 'i cant wait for the weekend!!!', category: null },
+  { text: 'we played 4 square at lunch', category: null },
+  { text: "I'm putting myself out there more", category: null },
+  { text: 'I started putting in more effort at school', category: null },
+  { text: 'he looks me in the eye when he talks', category: null },
+];
+
+// Crisis phrases in negated, benign or everyday senses that must not be flagged
+export const NEGATED_OR_BENIGN = [
+  { text: 'I would never kill myself', category: null },
+  { text: 'im not suicidal, just tired', category: null },
+  { text: 'I forgot my allergy pills at home', category: null },
+  { text: 'my heart is racing after soccer practice', category: null },
+  { text: 'i cant breathe lmao that video', category: null },
+  { text: 'im going to die if i fail this test', category: null },
+  { text: 'my little brother always beats me at fortnite', category: null },
+  { text: 'im gonna kill them in fortnite tonight', category: null },
+  { text: "I'm gonna attack this homework", category: null },
+  { text: 'my crush keeps hitting me up', category: null },
+  { text: 'I started cutting back on sugar', category: null },
+  { text: "I've been cutting carbs", category: null },
+  { text: 'we started cutting class on fridays', category: null },
+  { text: 'that song really touches me', category: null },
+  { text: 'the lyrics go "i want to die" and its so sad', category: null },
+  { text: 'he grew so fast, he shot up like 5 inches', category: null },
+];
+
+// Hits that need a second look (third parties, fiction, hypotheticals, jokes)
+export const AMBIGUOUS_CONTEXT = [
+  { text: 'my friend said she wants to die', category: 'suicide' },
+  { text: 'a character in my book wants to die', category: 'suicide' },
+  { text: 'what if i wanted to kill myself', category: 'suicide' },
+  { text: 'if things dont change im going to kill myself', category: 'suicide' },
+  { text: 'i want to die lol', category: 'suicide' },
+];
+
+// Real crises near negations or other context that must still be caught
+export const CONTEXT_CRISIS = [
+  { text: 'Im not okay. I want to die', category: 'suicide' },
+  { text: 'i dont know why but i want to kill myself', category: 'suicide' },
+  { text: 'she makes me want to die', category: 'suicide' },
+  { text: 'i told my friend i want to die', category: 'suicide' },
+  { text: 'no one gets it, i want to end my life', category: 'suicide' },
+  { text: 'im not ok i want to die', category: 'suicide' },
+  { text: 'im not joking i want to kill myself', category: 'suicide' },
+  { text: 'my mom beats me when she drinks', category: 'abuse' },
+];
+
+// Plainly worded crises in every category, including phrasings the keywords may miss
+export const CATEGORY_CRISIS = [
+  { text: 'I want to kill myself', category: 'suicide' },
+  { text: 'i have a plan to end it tonight', category: 'suicide' },
+  { text: 'everyone would be better off if i was dead', category: 'suicide' },
+  { text: 'i dont see a way out anymore', category: 'suicide' },
+  { text: 'i started cutting again', category: 'selfHarm' },
+  { text: 'i burn myself when it gets bad', category: 'selfHarm' },
+  { text: 'i want to hurt myself so bad right now', category: 'selfHarm' },
+  { text: 'im going to bring a gun to school tomorrow', category: 'harmToOthers' },
+  { text: 'i swear im going to stab them', category: 'harmToOthers' },
+  { text: 'i keep having violent thoughts about my classmates', category: 'harmToOthers' },
+  { text: 'my uncle touches me and i hate it', category: 'abuse' },
+  { text: 'my stepdad locks me in my room for days', category: 'abuse' },
+  { text: 'i dont feel safe at home, he hits me', category: 'abuse' },
+  { text: 'i have chest pain and my arm is numb', category: 'medicalDistress' },
+  { text: 'i think im having a heart attack', category: 'medicalDistress' },
+];
+
+/**
+ * Every labeled message for evaluation: label is "crisis", "ambiguous" or "safe"
+ */
+export const EVAL_CORPUS = [
+  ...CATEGORY_CRISIS.map(entry => ({ ...entry, label: 'crisis' })),
+  ...OBFUSCATED_CRISIS.map(entry => ({ ...entry, label: 'crisis' })),
+  ...CONTEXT_CRISIS.map(entry => ({ ...entry, label: 'crisis' })),
+  ...AMBIGUOUS_CONTEXT.map(entry => ({ ...entry, label: 'ambiguous' })),
+  ...SAFE_MESSAGES.map(entry => ({ ...entry, label: 'safe' })),
+  ...NEGATED_OR_BENIGN.map(entry => ({ ...entry, label: 'safe' })),
+];
+
+export default {
+  OBFUSCATED_CRISIS,
+  SAFE_MESSAGES,
+  NEGATED_OR_BENIGN,
+  AMBIGUOUS_CONTEXT,
+  CONTEXT_CRISIS,
+  CATEGORY_CRISIS,
+  EVAL_CORPUS,
+};
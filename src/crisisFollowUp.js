@@ -0,0 +1,247 @@
+// Crisis Follow-up Module - Gentle follow-ups after a crisis is detected
+import dotenv from 'dotenv';
+import channels from './channels.js';
+import memory from './memory.js';
+import sessionManager from './sessionManager.js';
+import crisisResources from './crisisResources.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+// Consecutive safe replies needed before leaving follow-up mode
+const EXIT_SAFE_REPLIES = parseInt(process.env.CRISIS_EXIT_SAFE_REPLIES || '3');
+
+// Minimum hours since the last crisis signal before leaving follow-up mode
+const EXIT_MIN_HOURS = parseFloat(process.env.CRISIS_EXIT_MIN_HOURS || '12');
+
+// Hour of day (server time) for the next-morning follow-up
+const MORNING_HOUR = parseInt(process.env.CRISIS_FOLLOW_UP_MORNING_HOUR || '9');
+
+// Don't interrupt a conversation that's already happening
+const ACTIVE_CONVERSATION_MS = 10 * 60 * 1000;
+
+// Messages get the hotlines for the user's country
+const FOLLOW_UPS = [
+  {
+    key: '15min',
+    message: () => `Hey, I'm still here. How are you doing right now?`,
+  },
+  {
+    key: '2hours',
+    message: hotlines => `Checking in on you again. Were you able to reach out to someone? ` +
+      `If things feel heavy, you can ${hotlines} anytime.`,
+  },
+  {
+    key: 'nextMorning',
+    message: () => `Good morning. I've been thinking about you since yesterday. ` +
+      `How are you feeling today?`,
+  },
+];
+
+// Pending follow-up timers by phone number
+const timers = new Map();
+
+/**
+ * Work out when each follow-up should be sent
+ */
+export function getFollowUpTimes(from = Date.now()) {
+  const morning = new Date(from);
+  morning.setHours(MORNING_HOUR, 0, 0, 0);
+
+  // "Next morning" should be after a night, not in a couple of hours
+  if (morning.getTime() - from < 6 * 60 * 60 * 1000) {
+    morning.setDate(morning.getDate() + 1);
+  }
+
+  return {
+    '15min': from + 15 * 60 * 1000,
+    '2hours': from + 2 * 60 * 60 * 1000,
+    nextMorning: morning.getTime(),
+  };
+}
+
+/**
+ * Put a session into crisis follow-up mode and schedule follow-ups
+ */
+export async function enterCrisisMode(phoneNumber, assessment, now = Date.now()) {
+  const session = await sessionManager.getSession(phoneNumber);
+
+  session.flags.inCrisis = true;
+  session.crisisFollowUp = {
+    startedAt: session.crisisFollowUp?.startedAt || new Date(now).toISOString(),
+    lastCrisisAt: new Date(now).toISOString(),
+    lastReplyAt: new Date(now).toISOString(),
+    categories: assessment.categories,
+    safeReplies: 0,
+    followUpsSent: [],
+    // Kept with the session so follow-ups can be rescheduled after a restart
+    dueAt: getFollowUpTimes(now),
+  };
+
+  await sessionManager.saveSession(phoneNumber, session);
+  await memory.trackCrisisFollowUp(phoneNumber);
+  scheduleFollowUps(phoneNumber, session.crisisFollowUp.dueAt);
+
+  logger.info('Entered crisis follow-up mode', {
+    phoneNumber: phoneNumber.slice(-4),
+    level: assessment.level,
+  });
+
+  return session.crisisFollowUp;
+}
+
+/**
+ * Schedule (or reschedule) the follow-up messages that haven't been sent yet
+ * times: { key: due time in ms }
+ */
+function scheduleFollowUps(phoneNumber, times, sent = []) {
+  cancelFollowUps(phoneNumber);
+
+  const now = Date.now();
+  const remaining = FOLLOW_UPS.filter(followUp => !sent.includes(followUp.key));
+
+  // After downtime, only the latest of the overdue follow-ups is still worth sending
+  const overdue = remaining.filter(followUp => times[followUp.key] <= now);
+  const skipped = overdue.slice(0, -1).map(followUp => followUp.key);
+
+  const pending = remaining
+    .filter(followUp => !skipped.includes(followUp.key))
+    .map(followUp => setTimeout(
+      () => sendFollowUp(phoneNumber, followUp),
+      Math.max(times[followUp.key] - now, 0)
+    ));
+
+  timers.set(phoneNumber, pending);
+}
+
+/**
+ * Reschedule follow-ups for everyone still in crisis mode (after a restart)
+ */
+export async function restoreFollowUps() {
+  const phoneNumbers = await memory.getCrisisFollowUpUsers();
+  let restored = 0;
+
+  for (const phoneNumber of phoneNumbers) {
+    const session = await sessionManager.getSession(phoneNumber);
+    const state = session.crisisFollowUp;
+
+    if (!session.flags.inCrisis || !state?.dueAt) {
+      await memory.untrackCrisisFollowUp(phoneNumber);
+      continue;
+    }
+
+    scheduleFollowUps(phoneNumber, state.dueAt, state.followUpsSent.map(followUp => followUp.key));
+    restored++;
+  }
+
+  if (restored > 0) {
+    logger.info('Crisis follow-ups restored', { users: restored });
+  }
+
+  return restored;
+}
+
+/**
+ * Cancel any pending follow-ups
+ */
+export function cancelFollowUps(phoneNumber) {
+  for (const timer of timers.get(phoneNumber) || []) {
+    clearTimeout(timer);
+  }
+
+  timers.delete(phoneNumber);
+}
+
+/**
+ * Send a follow-up if the user is still in crisis mode
+ */
+async function sendFollowUp(phoneNumber, followUp) {
+  try {
+    const session = await sessionManager.getSession(phoneNumber);
+    const state = session.crisisFollowUp;
+
+    if (!session.flags.inCrisis || !state) {
+      return;
+    }
+
+    if (Date.now() - new Date(state.lastReplyAt).getTime() < ACTIVE_CONVERSATION_MS) {
+      logger.info('Skipping crisis follow-up during active conversation', {
+        phoneNumber: phoneNumber.slice(-4),
+        followUp: followUp.key,
+      });
+      return;
+    }
+
+    const message = followUp.message(
+      crisisResources.getHotlineSummary(crisisResources.getCountryForPhoneNumber(phoneNumber))
+    );
+
+    const delivery = await channels.sendMessage(phoneNumber, message, { template: 'check_in' });
+    await memory.storeMessage(phoneNumber, message, 'outgoing', 'none', [], {}, delivery.messageSids);
+
+    state.followUpsSent.push({ key: followUp.key, at: new Date().toISOString() });
+    await sessionManager.saveSession(phoneNumber, session);
+
+    logger.info('Crisis follow-up sent', {
+      phoneNumber: phoneNumber.slice(-4),
+      followUp: followUp.key,
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'sendFollowUp', phoneNumber: phoneNumber.slice(-4) });
+  }
+}
+
+/**
+ * Track a reply while in crisis mode; exit after a sustained safe period
+ */
+export async function recordReply(phoneNumber, assessment, now = Date.now()) {
+  const session = await sessionManager.getSession(phoneNumber);
+  const state = session.crisisFollowUp;
+
+  if (!session.flags.inCrisis || !state) {
+    return false;
+  }
+
+  state.lastReplyAt = new Date(now).toISOString();
+
+  if (assessment.level === 'none' || assessment.level === 'low') {
+    state.safeReplies += 1;
+  } else {
+    state.safeReplies = 0;
+  }
+
+  const hoursSinceCrisis = (now - new Date(state.lastCrisisAt).getTime()) / (60 * 60 * 1000);
+
+  if (state.safeReplies >= EXIT_SAFE_REPLIES && hoursSinceCrisis >= EXIT_MIN_HOURS) {
+    await exitCrisisMode(phoneNumber, 'sustained_safe_replies');
+    return true;
+  }
+
+  await sessionManager.saveSession(phoneNumber, session);
+  return false;
+}
+
+/**
+ * Leave crisis follow-up mode (safe period or staff resolution)
+ */
+export async function exitCrisisMode(phoneNumber, reason) {
+  cancelFollowUps(phoneNumber);
+  await memory.untrackCrisisFollowUp(phoneNumber);
+
+  const session = await sessionManager.getSession(phoneNumber);
+  session.crisisFollowUp = null;
+  await sessionManager.saveSession(phoneNumber, session);
+
+  await sessionManager.clearCrisisFlag(phoneNumber);
+
+  logger.info('Exited crisis follow-up mode', { phoneNumber: phoneNumber.slice(-4), reason });
+}
+
+export default {
+  getFollowUpTimes,
+  enterCrisisMode,
+  cancelFollowUps,
+  restoreFollowUps,
+  recordReply,
+  exitCrisisMode,
+};
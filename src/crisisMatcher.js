@@ -0,0 +1,395 @@
+// Crisis Matcher Module - Slang, misspelling and obfuscation-robust phrase matching
+
+// Characters commonly swapped for letters ("k1ll", "$uicide", "k!ll")
+const LEET_MAP = {
+  '0': 'o',
+  '1': 'i',
+  '3': 'e',
+  '4': 'a',
+  '5': 's',
+  '7': 't',
+  '@': 'a',
+  '$': 's',
+  '!': 'i',
+  '|': 'l',
+};
+
+// Marker tokens kept in the token stream for context analysis
+export const CLAUSE_BREAK = '|';
+export const QUOTE = '"';
+
+// Emoji and shortcodes that stand in for words
+const EMOJI_MAP = {
+  '\u{1F52B}': 'shoot',     // pistol
+  '\u{1F52A}': 'cut',       // kitchen knife
+  '\u{1FA92}': 'cut',       // razor
+  '\u{1F48A}': 'pills',     // pill
+  '\u{1FAA2}': 'hang',      // knot
+  '\u26B0': 'dead',        // coffin
+  '\u{1FAA6}': 'dead',      // headstone
+  ':gun:': 'shoot',
+  ':knife:': 'cut',
+  ':razor:': 'cut',
+  ':pill:': 'pills',
+  ':coffin:': 'dead',
+  '\u{1F480}': 'lol',       // skull ("I'm dead")
+  '\u{1F602}': 'lol',       // tears of joy
+  '\u{1F923}': 'lol',       // rolling on the floor laughing
+};
+
+// Teen slang and shorthand, rewritten to the phrasing the keyword lists use.
+// Keys and values are plain lowercase text; they are normalized like messages.
+export const SLANG_LEXICON = {
+  'kms': 'kill myself',
+  'k m s': 'kill myself',
+  'unalive myself': 'kill myself',
+  'un alive myself': 'kill myself',
+  'unalive': 'die',
+  'off myself': 'kill myself',
+  'sewerslide': 'suicide',
+  'sewer slide': 'suicide',
+  'suey': 'suicide',
+  'commit die': 'suicide',
+  'rope myself': 'hang myself',
+  'selfharm': 'self harm',
+  'relapsed on sh': 'relapsed self harm',
+  'my sh': 'my self harm',
+  'sh scars': 'self harm scars',
+  'wanna': 'want to',
+  'gonna': 'going to',
+  'tryna': 'trying to',
+  'want 2': 'want to',
+  'going 2': 'going to',
+  'dont wanna be alive': 'dont want to be alive',
+  'dont wanna be here': 'wish i wasnt here',
+};
+
+// Tokens shorter than this only match exactly (avoids die/did, kill/bill)
+const FUZZY_MIN_LENGTH = 5;
+
+// Real words one edit from a keyword word ("looks"/"locks", "hating"/"hitting"): a message
+// that uses one means that word, so it is never read as a misspelling
+const REAL_WORDS = new Set([
+  'amuse', 'alike', 'along', 'atone', 'abound', 'aground', 'attach',
+  'beams', 'bears', 'beads', 'beans', 'beast', 'beets', 'belts', 'bests', 'boats', 'bleats',
+  'bitter', 'batter', 'butter', 'bough', 'being', 'boring', 'brink', 'brine',
+  'cards', 'carts', 'cases', 'cakes', 'caves', 'cores', 'cures', 'chance', 'chess', 'crest',
+  'citing', 'curing', 'cuing', 'decoded', 'derided', 'fond', 'fund', 'fount',
+  'hating', 'hiking', 'hinting', 'hiring', 'hiding', 'hunting', 'hurling', 'hurtling',
+  'later', 'liter', 'lever', 'looks', 'licks', 'lacks', 'mates', 'masters', 'meters',
+  'newer', 'noting', 'novice', 'overdoes', 'overdone',
+  'packed', 'pecked', 'picket', 'pickled', 'paint', 'print', 'pint',
+  'sawed', 'sated', 'staying', 'swaying', 'slaying', 'sever',
+  'sharing', 'shaving', 'shaping', 'shaming', 'staking', 'snaking', 'soaking',
+  'stared', 'starred', 'starved', 'startled', 'thank', 'thing', 'thick', 'thin',
+  'violet', 'wound',
+].map(squeeze));
+
+// Consecutive single letters that form a spaced-out word ("k i l l")
+const SPACED_RUN_MIN = 3;
+
+/**
+ * Collapse repeated characters ("dieee" -> "die", "kill" -> "kil")
+ */
+function squeeze(token) {
+  return token.replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Replace emoji and shortcodes with words
+ */
+function replaceEmoji(text) {
+  let result = text.replace(/\uFE0F/g, '');
+
+  for (const [emoji, word] of Object.entries(EMOJI_MAP)) {
+    result = result.split(emoji).join(` ${word} `);
+  }
+
+  return result;
+}
+
+/**
+ * Fold look-alike characters inside words that also contain letters
+ */
+function foldLeet(word) {
+  if (!/[a-z]/.test(word) || !/[^a-z]/.test(word)) {
+    return word;
+  }
+
+  // Trailing punctuation is punctuation, not a letter ("help!")
+  const core = word.replace(/^[^a-z0-9$@]+/, '').replace(/[^a-z0-9*]+$/, '');
+
+  return core
+    .split('')
+    .map(char => LEET_MAP[char] || char)
+    .join('')
+    // Separators inside a word ("k.i.l.l", "self-harm") are dropped
+    .replace(/[.\-_~'`]/g, '');
+}
+
+/**
+ * Normalize text into tokens (lowercase, no accents, slang expanded)
+ */
+export function tokenize(text) {
+  return normalize(text).tokens;
+}
+
+/**
+ * Normalize text into tokens, flagging the ones slang was expanded into ({ tokens, fromSlang })
+ */
+function normalize(text) {
+  if (!text || typeof text !== 'string') {
+    return { tokens: [], fromSlang: [] };
+  }
+
+  let normalized = text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2018\u2019']/g, '');
+
+  normalized = replaceEmoji(normalized);
+
+  const tokens = normalized
+    .split(/\s+/)
+    .flatMap(splitMarkers)
+    .join(' ')
+    .split(/[^a-z0-9*|"]+/)
+    .filter(token => token.length > 0);
+
+  const expanded = applyLexicon(tokens);
+  const { start, end } = getTrimmedRange(expanded.tokens);
+
+  return {
+    tokens: expanded.tokens.slice(start, end),
+    fromSlang: expanded.fromSlang.slice(start, end),
+  };
+}
+
+/**
+ * Fold a whitespace-separated word, keeping quotes and clause breaks as markers
+ */
+function splitMarkers(word) {
+  const opening = /^[\u201c\u201d"]/.test(word) ? [QUOTE] : [];
+  const closing = [];
+
+  if (/[\u201c\u201d"][.,;!?]*$/.test(word) && word.length > 1) {
+    closing.push(QUOTE);
+  }
+  if (/[.,;!?\n]$/.test(word.replace(/[\u201c\u201d"]+$/, ''))) {
+    closing.push(CLAUSE_BREAK);
+  }
+
+  const core = word.replace(/[\u201c\u201d"]/g, '');
+  const folded = core === CLAUSE_BREAK ? CLAUSE_BREAK : foldLeet(core);
+
+  return [...opening, folded, ...closing];
+}
+
+/**
+ * Get the token range without clause breaks at the start and end
+ */
+function getTrimmedRange(tokens) {
+  let start = 0;
+  let end = tokens.length;
+
+  while (start < end && tokens[start] === CLAUSE_BREAK) start++;
+  while (end > start && tokens[end - 1] === CLAUSE_BREAK) end--;
+
+  return { start, end };
+}
+
+// Lexicon entries as token arrays, longest first so phrases win over words
+const LEXICON_ENTRIES = Object.entries(SLANG_LEXICON)
+  .map(([slang, canonical]) => ({
+    slang: slang.split(' '),
+    canonical: canonical.split(' '),
+  }))
+  .sort((a, b) => b.slang.length - a.slang.length);
+
+/**
+ * Rewrite slang phrases to their canonical wording ({ tokens, fromSlang })
+ */
+function applyLexicon(tokens) {
+  const result = [];
+  const fromSlang = [];
+  let i = 0;
+
+  while (i < tokens.length) {
+    const entry = LEXICON_ENTRIES.find(({ slang }) =>
+      slang.every((word, j) => tokens[i + j] !== undefined && squeeze(tokens[i + j]) === squeeze(word))
+    );
+
+    if (entry) {
+      result.push(...entry.canonical);
+      fromSlang.push(...entry.canonical.map(() => true));
+      i += entry.slang.length;
+    } else {
+      result.push(tokens[i]);
+      fromSlang.push(false);
+      i += 1;
+    }
+  }
+
+  return { tokens: result, fromSlang };
+}
+
+/**
+ * Join runs of single letters ("k i l l m y s e l f") into one string
+ */
+function getSpacedRuns(tokens) {
+  const runs = [];
+  let current = [];
+
+  [...tokens, ''].forEach((token, index) => {
+    if (token.length === 1 && /[a-z]/.test(token)) {
+      current.push(token);
+      return;
+    }
+
+    if (current.length >= SPACED_RUN_MIN) {
+      runs.push({
+        text: squeeze(current.join('')),
+        start: index - current.length,
+        end: index,
+      });
+    }
+    current = [];
+  });
+
+  return runs;
+}
+
+/**
+ * Optimal string alignment distance (edits incl. adjacent transpositions)
+ */
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+/**
+ * Compare a (squeezed) message token with a (squeezed) keyword token
+ */
+function tokenMatches(token, keywordToken) {
+  // Same word with a plain inflection ("wants", "kills")
+  if (token === keywordToken || token === `${keywordToken}s`) {
+    return true;
+  }
+
+  // Masked letters ("k*ll") match any single letter
+  if (token.includes('*') && token.length === keywordToken.length) {
+    return token.split('').every((char, i) => char === '*' || char === keywordToken[i]);
+  }
+
+  // Misspellings keep their first letter ("putting" isn't "cutting") and aren't words themselves
+  if (
+    keywordToken.length >= FUZZY_MIN_LENGTH &&
+    token[0] === keywordToken[0] &&
+    !REAL_WORDS.has(token) &&
+    Math.abs(token.length - keywordToken.length) <= 1
+  ) {
+    return editDistance(token, keywordToken) <= 1;
+  }
+
+  return false;
+}
+
+/**
+ * Normalize a message once for matching against many phrases
+ */
+export function prepareMessage(message) {
+  const { tokens, fromSlang } = normalize(message);
+
+  return {
+    tokens,
+    squeezed: tokens.map(squeeze),
+    spacedRuns: getSpacedRuns(tokens),
+    fromSlang,
+  };
+}
+
+/**
+ * Find every occurrence of a phrase as token spans ({ start, end })
+ */
+function findPhraseSpans(prepared, phraseTokens, phraseCompact) {
+  const { squeezed, spacedRuns } = prepared;
+  const spans = [];
+
+  for (let i = 0; i + phraseTokens.length <= squeezed.length; i++) {
+    if (phraseTokens.every((keywordToken, j) => tokenMatches(squeezed[i + j], keywordToken))) {
+      spans.push({ start: i, end: i + phraseTokens.length });
+    }
+  }
+
+  for (const run of spacedRuns) {
+    if (run.text.includes(phraseCompact)) {
+      spans.push({ start: run.start, end: run.end });
+    }
+  }
+
+  return spans;
+}
+
+/**
+ * Build a matcher for a list of entries ({ phrase, ...data })
+ */
+export function createMatcher(entries) {
+  const compiled = entries.map(entry => {
+    const phraseTokens = tokenize(entry.phrase).map(squeeze);
+    return {
+      entry,
+      phraseTokens,
+      phraseCompact: squeeze(phraseTokens.join('')),
+    };
+  });
+
+  return {
+    /**
+     * Get every occurrence of an entry's phrase ({ ...entry, start, end, slang })
+     * (slang: part of the phrase only appears once shorthand is expanded, "gonna" -> "going to")
+     */
+    match(message) {
+      const prepared = typeof message === 'string' ? prepareMessage(message) : message;
+
+      return compiled
+        .filter(({ phraseTokens }) => phraseTokens.length > 0)
+        .flatMap(({ entry, phraseTokens, phraseCompact }) =>
+          findPhraseSpans(prepared, phraseTokens, phraseCompact)
+            .map(span => ({
+              ...entry,
+              ...span,
+              slang: prepared.fromSlang.slice(span.start, span.end).some(Boolean),
+            })));
+    },
+  };
+}
+
+export default {
+  CLAUSE_BREAK,
+  QUOTE,
+  SLANG_LEXICON,
+  tokenize,
+  editDistance,
+  prepareMessage,
+  createMatcher,
+};
@@ -0,0 +1,293 @@
+// Crisis Resources Module - Hotlines by country (from the phone number) and resource type
+import dotenv from 'dotenv';
+import { formatPhoneNumber, getPhoneNumber } from './twilio.js';
+
+dotenv.config();
+
+// Used when there is no phone number to go by
+export const DEFAULT_COUNTRY = process.env.DEFAULT_RESOURCE_COUNTRY || 'US';
+
+// Countries we can't place get resources that work anywhere
+export const INTERNATIONAL = 'INTL';
+
+// Resource types every supported country must have
+export const REQUIRED_RESOURCES = ['emergency', 'suicide', 'crisisText'];
+
+// Hotlines by country, then by resource type
+export const RESOURCE_REGISTRY = {
+  US: {
+    emergency: {
+      name: 'Emergency Services',
+      number: '911',
+      contact: 'Call 911',
+    },
+    suicide: {
+      name: '988 Suicide & Crisis Lifeline',
+      number: '988',
+      contact: 'Call or text 988',
+    },
+    crisisText: {
+      name: 'Crisis Text Line',
+      number: '741741',
+      contact: 'Text HELLO to 741741',
+    },
+    lgbtq: {
+      name: 'Trevor Project (LGBTQ+ Youth)',
+      number: '1-866-488-7386',
+      contact: 'Call 1-866-488-7386',
+    },
+    abuse: {
+      name: 'Childhelp Abuse Hotline',
+      number: '1-800-422-4453',
+      contact: 'Call or text 1-800-422-4453',
+    },
+    substance: {
+      name: 'SAMHSA Helpline',
+      number: '1-800-662-4357',
+      contact: 'Call 1-800-662-4357',
+    },
+  },
+  CA: {
+    emergency: {
+      name: 'Emergency Services',
+      number: '911',
+      contact: 'Call 911',
+    },
+    suicide: {
+      name: '9-8-8 Suicide Crisis Helpline',
+      number: '988',
+      contact: 'Call or text 988',
+    },
+    crisisText: {
+      name: 'Kids Help Phone',
+      number: '686868',
+      contact: 'Text CONNECT to 686868',
+    },
+    abuse: {
+      name: 'Kids Help Phone',
+      number: '1-800-668-6868',
+      contact: 'Call 1-800-668-6868',
+    },
+  },
+  GB: {
+    emergency: {
+      name: 'Emergency Services',
+      number: '999',
+      contact: 'Call 999',
+    },
+    suicide: {
+      name: 'Samaritans',
+      number: '116 123',
+      contact: 'Call 116 123',
+    },
+    crisisText: {
+      name: 'Shout',
+      number: '85258',
+      contact: 'Text SHOUT to 85258',
+    },
+    lgbtq: {
+      name: 'Switchboard LGBT+ Helpline',
+      number: '0300 330 0630',
+      contact: 'Call 0300 330 0630',
+    },
+    abuse: {
+      name: 'Childline',
+      number: '0800 1111',
+      contact: 'Call 0800 1111',
+    },
+    substance: {
+      name: 'FRANK',
+      number: '0300 123 6600',
+      contact: 'Call 0300 123 6600',
+    },
+  },
+  IE: {
+    emergency: {
+      name: 'Emergency Services',
+      number: '112',
+      contact: 'Call 112 or 999',
+    },
+    suicide: {
+      name: 'Samaritans',
+      number: '116 123',
+      contact: 'Call 116 123',
+    },
+    crisisText: {
+      name: 'Text 50808',
+      number: '50808',
+      contact: 'Text HELLO to 50808',
+    },
+    lgbtq: {
+      name: 'LGBT Ireland Helpline',
+      number: '1800 929 539',
+      contact: 'Call 1800 929 539',
+    },
+    abuse: {
+      name: 'Childline (ISPCC)',
+      number: '1800 66 66 66',
+      contact: 'Call 1800 66 66 66',
+    },
+    substance: {
+      name: 'HSE Drugs & Alcohol Helpline',
+      number: '1800 459 459',
+      contact: 'Call 1800 459 459',
+    },
+  },
+  AU: {
+    emergency: {
+      name: 'Emergency Services',
+      number: '000',
+      contact: 'Call 000',
+    },
+    suicide: {
+      name: 'Lifeline',
+      number: '13 11 14',
+      contact: 'Call 13 11 14',
+    },
+    crisisText: {
+      name: 'Kids Helpline',
+      number: '1800 55 1800',
+      contact: 'Call 1800 55 1800',
+    },
+    lgbtq: {
+      name: 'QLife (LGBTIQ+)',
+      number: '1800 184 527',
+      contact: 'Call 1800 184 527',
+    },
+    abuse: {
+      name: '1800RESPECT',
+      number: '1800 737 732',
+      contact: 'Call 1800 737 732',
+    },
+    substance: {
+      name: 'National Alcohol and Other Drug Hotline',
+      number: '1800 250 015',
+      contact: 'Call 1800 250 015',
+    },
+  },
+  [INTERNATIONAL]: {
+    emergency: {
+      name: 'Emergency Services',
+      number: null,
+      contact: 'Call your local emergency number',
+    },
+    suicide: {
+      name: 'Find A Helpline',
+      number: 'findahelpline.com',
+      contact: 'Visit findahelpline.com for a free helpline in your country',
+    },
+  },
+};
+
+// E.164 calling codes, longest first so +353 wins over +35
+const CALLING_CODES = [
+  { code: '353', country: 'IE' },
+  { code: '44', country: 'GB' },
+  { code: '61', country: 'AU' },
+  { code: '1', country: 'US' },
+];
+
+// Canadian area codes share +1 with the US
+const CANADIAN_AREA_CODES = [
+  '204', '226', '236', '249', '250', '257', '263', '289', '306', '343', '354', '365', '367',
+  '368', '382', '387', '403', '416', '418', '428', '431', '437', '438', '450', '460', '468',
+  '474', '506', '514', '519', '548', '579', '581', '584', '587', '604', '613', '639', '647',
+  '672', '683', '705', '709', '742', '753', '778', '780', '782', '807', '819', '825', '867',
+  '873', '879', '902', '905', '942',
+];
+
+/**
+ * Work out which country's resources apply to a phone number
+ */
+export function getCountryForPhoneNumber(phoneNumber) {
+  // WhatsApp users have a phone number behind their address
+  const number = phoneNumber && getPhoneNumber(phoneNumber);
+
+  // Web chat ids (and anything else that isn't a phone number) give no country away
+  if (!number || !/^[+\d\s().-]+$/.test(number)) {
+    return DEFAULT_COUNTRY;
+  }
+
+  const digits = formatPhoneNumber(number).slice(1);
+  const match = CALLING_CODES.find(({ code }) => digits.startsWith(code));
+
+  if (!match) {
+    return INTERNATIONAL;
+  }
+
+  if (match.country === 'US' && CANADIAN_AREA_CODES.includes(digits.slice(1, 4))) {
+    return 'CA';
+  }
+
+  return match.country;
+}
+
+/**
+ * Get one resource for a country ({ key, name, number, contact }), or null
+ */
+export function getResource(country, key) {
+  const resource = RESOURCE_REGISTRY[country]?.[key];
+  return resource ? { key, ...resource } : null;
+}
+
+/**
+ * Get resources for a country in order, skipping ones it doesn't have and duplicates
+ */
+export function getResources(country, keys) {
+  const resources = [];
+
+  for (const key of keys) {
+    const resource = getResource(country, key);
+
+    if (resource && !resources.some(r => r.name === resource.name)) {
+      resources.push(resource);
+    }
+  }
+
+  return resources;
+}
+
+/**
+ * Get the "call/text ..." line for the main hotlines of a country
+ */
+export function getHotlineSummary(country) {
+  const contacts = getResources(country, ['suicide', 'crisisText'])
+    .map(resource => resource.contact.charAt(0).toLowerCase() + resource.contact.slice(1));
+
+  return contacts.join(', or ');
+}
+
+/**
+ * Get the "If you're in immediate danger..." line for a country
+ */
+export function getEmergencyLine(country) {
+  const emergency = getResource(country, 'emergency') || getResource(INTERNATIONAL, 'emergency');
+  return `If you're in immediate danger, ${emergency.contact.charAt(0).toLowerCase()}${emergency.contact.slice(1)}.`;
+}
+
+/**
+ * Format the full resource list for a country (RESOURCES command)
+ */
+export function formatResourcesMessage(country) {
+  const lines = getResources(country, ['suicide', 'crisisText', 'lgbtq', 'abuse', 'substance'])
+    .map(resource => `${resource.name}: ${resource.contact}`);
+
+  return `CRISIS RESOURCES\n\n` +
+    `${getEmergencyLine(country)}\n\n` +
+    `24/7 Free & Confidential Support:\n\n` +
+    `${lines.join('\n')}\n\n` +
+    `You're not alone. These people care and want to help.`;
+}
+
+export default {
+  DEFAULT_COUNTRY,
+  INTERNATIONAL,
+  REQUIRED_RESOURCES,
+  RESOURCE_REGISTRY,
+  getCountryForPhoneNumber,
+  getResource,
+  getResources,
+  getHotlineSummary,
+  getEmergencyLine,
+  formatResourcesMessage,
+};
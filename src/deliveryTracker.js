@@ -0,0 +1,169 @@
+// Delivery Tracker Module - Twilio delivery status callbacks, crisis message redelivery and alerts
+import dotenv from 'dotenv';
+import twilio from './twilio.js';
+import channels from './channels.js';
+import memory from './memory.js';
+import escalation from './escalation.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+// Redeliveries of a crisis message before on-call staff are alerted
+const MAX_REDELIVERIES = parseInt(process.env.CRISIS_REDELIVERY_ATTEMPTS || '3');
+
+// Wait before the first redelivery; doubles each time
+const REDELIVERY_BASE_MS = parseInt(process.env.CRISIS_REDELIVERY_BASE_SECONDS || '30') * 1000;
+
+// Twilio statuses from earliest to final (a status never replaces a later one)
+export const STATUS_ORDER = [
+  'accepted', 'scheduled', 'queued', 'sending', 'sent', 'delivered', 'read', 'canceled', 'undelivered', 'failed',
+];
+
+// Statuses that mean the message never reached the phone
+export const FAILED_STATUSES = ['undelivered', 'failed'];
+
+// A callback can arrive before the message's row is stored: retries for an unknown sid,
+// and the wait before the first (doubles each time)
+const UNMATCHED_RETRIES = 3;
+const UNMATCHED_RETRY_MS = 1000;
+
+// Pending redeliveries by conversation row id (by user when the row couldn't be stored)
+const timers = new Map();
+
+/**
+ * Key for a row's pending redelivery
+ */
+function timerKey(row) {
+  return row.id ?? row.phone_number;
+}
+
+/**
+ * Wait before a redelivery attempt (1 = first redelivery)
+ */
+export function getRedeliveryDelay(attempt) {
+  return REDELIVERY_BASE_MS * 2 ** (attempt - 1);
+}
+
+/**
+ * Handle a delivery status callback: record it on the outgoing message and,
+ * if a crisis message didn't get through, try again
+ * callback: { messageSid, status, errorCode }
+ */
+export async function handleStatusCallback(callback, { attempt = 0, retryMs = UNMATCHED_RETRY_MS } = {}) {
+  const { messageSid, status, errorCode = null } = callback;
+  const row = await memory.updateDeliveryStatus(messageSid, status, errorCode, STATUS_ORDER);
+
+  // Not one of ours, an older status (or an earlier attempt's) arriving late, or not stored yet: in case it's
+  // the last, look again shortly so a failed crisis message is still resent
+  if (!row) {
+    if (attempt < UNMATCHED_RETRIES) {
+      setTimeout(() => {
+        handleStatusCallback(callback, { attempt: attempt + 1, retryMs })
+          .catch(error => logger.error('Delivery status error', { error: error.message, messageSid }));
+      }, retryMs * 2 ** attempt);
+    }
+    return null;
+  }
+
+  logger.info('Delivery status updated', {
+    messageSid,
+    status,
+    errorCode,
+    phoneNumber: row.phone_number.slice(-4),
+  });
+
+  if (FAILED_STATUSES.includes(status) && row.metadata?.crisis) {
+    return await handleCrisisDeliveryFailure(row, messageSid, errorCode);
+  }
+
+  return null;
+}
+
+/**
+ * Schedule another try at a crisis message that wasn't delivered, or alert on-call once out of tries
+ * row: { id, phone_number, message, delivery_attempts }
+ * Returns { action: 'redeliver', delayMs } or { action: 'alert' } (or 'pending' if already scheduled)
+ */
+export async function handleCrisisDeliveryFailure(row, messageSid, errorCode = null, { delayMs } = {}) {
+  const redeliveries = row.delivery_attempts - 1;
+
+  if (redeliveries >= MAX_REDELIVERIES) {
+    await alertUndeliverable(row, errorCode);
+    return { action: 'alert' };
+  }
+
+  if (timers.has(timerKey(row))) {
+    return { action: 'pending' };
+  }
+
+  const wait = delayMs ?? getRedeliveryDelay(redeliveries + 1);
+
+  logger.alert('Crisis message not delivered, retrying', {
+    phoneNumber: row.phone_number.slice(-4),
+    messageSid,
+    errorCode,
+    attempt: row.delivery_attempts,
+    retryInMs: wait,
+  });
+
+  timers.set(timerKey(row), setTimeout(() => redeliver(row, messageSid, errorCode), wait));
+  return { action: 'redeliver', delayMs: wait };
+}
+
+/**
+ * Send a crisis message again (unless it turns out to have been delivered after all)
+ */
+async function redeliver(row, failedSid, errorCode) {
+  try {
+    timers.delete(timerKey(row));
+
+    if (failedSid) {
+      const current = await twilio.getMessageStatus(failedSid);
+
+      if (current.success && !FAILED_STATUSES.includes(current.status)) {
+        logger.info('Crisis message delivered after all; not resending', { messageSid: failedSid, status: current.status });
+        return;
+      }
+    }
+
+    const result = await channels.sendMessage(row.phone_number, row.message);
+    const attempts = await memory.recordDeliveryAttempt(row.id, result.messageSids[0] || null);
+
+    logger.info('Crisis message redelivered', {
+      phoneNumber: row.phone_number.slice(-4),
+      success: result.success,
+      attempt: attempts ?? row.delivery_attempts + 1,
+    });
+
+    // No callback is coming for a send Twilio refused outright
+    if (!result.success) {
+      await handleCrisisDeliveryFailure({ ...row, delivery_attempts: attempts ?? row.delivery_attempts + 1 }, null, errorCode);
+    }
+  } catch (error) {
+    logger.logError(error, { context: 'redeliver', phoneNumber: row.phone_number.slice(-4) });
+  }
+}
+
+/**
+ * Tell on-call staff that a crisis message couldn't be delivered
+ */
+async function alertUndeliverable(row, errorCode) {
+  logger.alert('Crisis message undeliverable', {
+    phoneNumber: row.phone_number.slice(-4),
+    attempts: row.delivery_attempts,
+    errorCode,
+  });
+
+  return await escalation.alertOnCall(
+    `CalmText alert: a crisis message to ${channels.describeUser(row.phone_number)} could not be delivered ` +
+    `after ${row.delivery_attempts} attempts (error ${errorCode || 'unknown'}). Please follow up another way.`
+  );
+}
+
+export default {
+  STATUS_ORDER,
+  FAILED_STATUSES,
+  getRedeliveryDelay,
+  handleStatusCallback,
+  handleCrisisDeliveryFailure,
+};
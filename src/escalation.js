@@ -0,0 +1,471 @@
+// Escalation Module - Page on-call humans for high-risk conversations
+import dotenv from 'dotenv';
+import twilio from './twilio.js';
+import channels from './channels.js';
+import memory from './memory.js';
+import crisisFollowUp from './crisisFollowUp.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+const ACK_TIMEOUT_MINUTES = parseFloat(process.env.ESCALATION_ACK_TIMEOUT_MINUTES || '5');
+
+// Times through the whole roster without an ack before the fallback contact is alerted
+const MAX_ROUNDS = parseInt(process.env.ESCALATION_MAX_ROUNDS || '3');
+
+// Active escalations by crisis event id
+const escalations = new Map();
+
+// On-call roster in paging order: [{ name, phone }]
+let roster = parseRoster(process.env.ONCALL_ROSTER);
+
+// Who hears about an escalation nobody on the roster picked up: { name, phone } or null
+let fallbackContact = parseRoster(process.env.ESCALATION_FALLBACK_CONTACT)[0] || null;
+
+// Notifiers deliver pages to responders; "log" is the local stand-in
+const notifiers = {
+  log: {
+    async notify(contact, message) {
+      logger.alert('On-call page', { to: contact.name, message });
+      return { success: true };
+    },
+  },
+  sms: {
+    async notify(contact, message) {
+      return await twilio.sendSMS(contact.phone, message);
+    },
+  },
+};
+
+let activeNotifier = process.env.ESCALATION_NOTIFIER || 'log';
+
+/**
+ * Parse roster config ("Name:+15551234567,Name2:+15557654321")
+ */
+export function parseRoster(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0)
+    .map(entry => {
+      const [name, phone] = entry.split(':').map(part => part.trim());
+      return { name, phone: phone || null };
+    });
+}
+
+/**
+ * Replace the on-call roster
+ */
+export function setRoster(contacts) {
+  roster = [...contacts];
+}
+
+/**
+ * Get the on-call roster
+ */
+export function getRoster() {
+  return [...roster];
+}
+
+/**
+ * Replace the fallback contact ({ name, phone } or null)
+ */
+export function setFallbackContact(contact) {
+  fallbackContact = contact;
+}
+
+/**
+ * Register a notifier (must implement notify(contact, message))
+ */
+export function registerNotifier(name, notifier) {
+  if (!notifier || typeof notifier.notify !== 'function') {
+    throw new Error(`Notifier "${name}" must implement notify(contact, message)`);
+  }
+
+  notifiers[name] = notifier;
+}
+
+/**
+ * Select which notifier delivers pages
+ */
+export function setNotifier(name) {
+  if (!notifiers[name]) {
+    throw new Error(`Unknown notifier "${name}"`);
+  }
+
+  activeNotifier = name;
+}
+
+/**
+ * Get the name of the notifier delivering pages
+ */
+export function getNotifier() {
+  return activeNotifier;
+}
+
+/**
+ * Escalate a crisis event to the on-call roster
+ */
+export async function escalate(eventId, phoneNumber, assessment, options = {}) {
+  const id = String(eventId || `local-${Date.now()}`);
+
+  if (escalations.has(id)) {
+    return escalations.get(id);
+  }
+
+  const escalation = {
+    id,
+    eventId,
+    phoneNumber,
+    level: assessment.level,
+    categories: assessment.categories,
+    ackTimeoutMs: options.ackTimeoutMs ?? ACK_TIMEOUT_MINUTES * 60 * 1000,
+    rosterIndex: -1,
+    pages: [],
+    acknowledgedBy: null,
+    acknowledgedAt: null,
+    resolvedBy: null,
+    resolvedAt: null,
+    exhaustedAt: null,
+    createdAt: new Date().toISOString(),
+    timer: null,
+  };
+
+  // Nobody to page, so nothing would ever time out or close it: tell the fallback
+  // contact and close it straight away rather than leave it open
+  if (roster.length === 0) {
+    logger.alert('Escalation needed but on-call roster is empty', {
+      escalationId: id,
+      phoneNumber: phoneNumber.slice(-4),
+      level: assessment.level,
+    });
+
+    escalation.resolvedBy = 'no_responders';
+    escalation.resolvedAt = escalation.createdAt;
+
+    if (eventId) {
+      await memory.updateCrisisEventMetadata(eventId, { escalation: 'no_responders' });
+    }
+
+    await notifyFallback(escalation, `CalmText escalation #${id}: ${escalation.level.toUpperCase()} risk ` +
+      `from ${channels.describeUser(phoneNumber)}, but the on-call roster is empty. Please make sure someone follows up now.`);
+    return escalation;
+  }
+
+  escalations.set(id, escalation);
+
+  await pageNext(escalation);
+
+  if (eventId) {
+    await memory.markCrisisEventEscalated(eventId, {
+      escalatedAt: escalation.createdAt,
+      escalatedTo: escalation.pages[0]?.name,
+      ackTimeoutMs: escalation.ackTimeoutMs,
+      rosterIndex: escalation.rosterIndex,
+      pages: escalation.pages,
+    });
+  }
+
+  return escalation;
+}
+
+/**
+ * Page the next responder on the roster and start the ack timer
+ */
+async function pageNext(escalation) {
+  escalation.rosterIndex = (escalation.rosterIndex + 1) % roster.length;
+  const contact = roster[escalation.rosterIndex];
+
+  const message = `CalmText escalation #${escalation.id}: ${escalation.level.toUpperCase()} risk ` +
+    `(${escalation.categories.join(', ') || 'unspecified'}) from ${channels.describeUser(escalation.phoneNumber)}. ` +
+    `Reply ACK ${escalation.id} to acknowledge.`;
+
+  try {
+    const result = await notifiers[activeNotifier].notify(contact, message);
+    escalation.pages.push({
+      name: contact.name,
+      at: new Date().toISOString(),
+      success: result?.success !== false,
+    });
+  } catch (error) {
+    logger.error('Failed to page on-call responder', {
+      escalationId: escalation.id,
+      responder: contact.name,
+      error: error.message,
+    });
+    escalation.pages.push({ name: contact.name, at: new Date().toISOString(), success: false });
+  }
+
+  logger.alert('On-call responder paged', {
+    escalationId: escalation.id,
+    responder: contact.name,
+    attempt: escalation.pages.length,
+  });
+
+  escalation.timer = setTimeout(() => handleAckTimeout(escalation.id), escalation.ackTimeoutMs);
+}
+
+/**
+ * Re-page when nobody acknowledged in time
+ */
+async function handleAckTimeout(id) {
+  const escalation = escalations.get(id);
+
+  if (!escalation || escalation.acknowledgedAt || escalation.resolvedAt) {
+    return;
+  }
+
+  if (escalation.pages.length >= roster.length * MAX_ROUNDS) {
+    await alertFallback(escalation);
+  } else {
+    logger.alert('Escalation not acknowledged, paging next responder', {
+      escalationId: id,
+      lastPaged: escalation.pages[escalation.pages.length - 1]?.name,
+    });
+
+    await pageNext(escalation);
+  }
+
+  if (escalation.eventId) {
+    await memory.updateCrisisEventMetadata(escalation.eventId, {
+      rosterIndex: escalation.rosterIndex,
+      pages: escalation.pages,
+      exhaustedAt: escalation.exhaustedAt,
+    });
+  }
+}
+
+/**
+ * Stop paging the roster and tell the fallback contact nobody picked the escalation up
+ */
+async function alertFallback(escalation) {
+  escalation.exhaustedAt = new Date().toISOString();
+
+  logger.alert('Escalation not acknowledged by anyone on the roster', {
+    escalationId: escalation.id,
+    pages: escalation.pages.length,
+    fallback: fallbackContact?.name || null,
+  });
+
+  await notifyFallback(escalation, `CalmText escalation #${escalation.id}: ${escalation.level.toUpperCase()} risk ` +
+    `from ${channels.describeUser(escalation.phoneNumber)} was not acknowledged after ` +
+    `${escalation.pages.length} pages to the on-call roster. Please make sure someone follows up now.`);
+}
+
+/**
+ * Send a message to the fallback contact, if one is configured
+ */
+async function notifyFallback(escalation, message) {
+  if (!fallbackContact) {
+    return;
+  }
+
+  try {
+    await notifiers[activeNotifier].notify(fallbackContact, message);
+  } catch (error) {
+    logger.error('Failed to alert fallback contact', {
+      escalationId: escalation.id,
+      contact: fallbackContact.name,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Record that a responder has taken the escalation
+ */
+export async function acknowledge(id, responder) {
+  const escalation = escalations.get(String(id));
+
+  if (!escalation) {
+    return null;
+  }
+
+  clearTimeout(escalation.timer);
+
+  if (!escalation.acknowledgedAt) {
+    escalation.acknowledgedBy = responder;
+    escalation.acknowledgedAt = new Date().toISOString();
+
+    logger.alert('Escalation acknowledged', { escalationId: escalation.id, responder });
+
+    if (escalation.eventId) {
+      await memory.updateCrisisEventMetadata(escalation.eventId, {
+        acknowledgedBy: responder,
+        acknowledgedAt: escalation.acknowledgedAt,
+        pages: escalation.pages,
+      });
+    }
+  }
+
+  return escalation;
+}
+
+/**
+ * Resolve an escalation and its crisis event
+ */
+export async function resolve(id, responder, notes = null) {
+  const escalation = escalations.get(String(id));
+
+  if (!escalation) {
+    // Events escalated before a restart can still be closed out
+    if (/^\d+$/.test(String(id))) {
+      const phoneNumber = await memory.resolveCrisisEvent(Number(id), {
+        resolvedBy: responder,
+        resolvedAt: new Date().toISOString(),
+        resolutionNotes: notes,
+      });
+
+      if (phoneNumber) {
+        await crisisFollowUp.exitCrisisMode(phoneNumber, 'staff_resolution');
+        return { id: String(id), eventId: Number(id), phoneNumber, resolvedBy: responder, resolvedAt: new Date().toISOString() };
+      }
+    }
+    return null;
+  }
+
+  clearTimeout(escalation.timer);
+  escalation.resolvedBy = responder;
+  escalation.resolvedAt = new Date().toISOString();
+
+  logger.alert('Escalation resolved', { escalationId: escalation.id, responder });
+
+  if (escalation.eventId) {
+    await memory.resolveCrisisEvent(escalation.eventId, {
+      resolvedBy: responder,
+      resolvedAt: escalation.resolvedAt,
+      resolutionNotes: notes,
+    });
+  }
+
+  await crisisFollowUp.exitCrisisMode(escalation.phoneNumber, 'staff_resolution');
+
+  escalations.delete(escalation.id);
+
+  return escalation;
+}
+
+/**
+ * Handle "ACK <id>" / "RESOLVE <id>" replies from on-call responders
+ */
+export async function handleResponderMessage(phoneNumber, message) {
+  const contact = roster.find(c => c.phone && c.phone === phoneNumber);
+
+  if (!contact) {
+    return null;
+  }
+
+  const match = message.trim().match(/^(ack|resolve)\s+#?(\S+)/i);
+
+  if (!match) {
+    return `Reply ACK <id> to acknowledge or RESOLVE <id> to close an escalation.`;
+  }
+
+  const [, action, id] = match;
+
+  if (action.toLowerCase() === 'ack') {
+    const escalation = await acknowledge(id, contact.name);
+    return escalation ? `Escalation #${id} acknowledged. Thank you.` : `No active escalation #${id}.`;
+  }
+
+  const escalation = await resolve(id, contact.name);
+  return escalation ? `Escalation #${id} resolved.` : `No active escalation #${id}.`;
+}
+
+/**
+ * Send a one-off alert to the first responder on the roster (nothing to acknowledge)
+ */
+export async function alertOnCall(message) {
+  if (roster.length === 0) {
+    logger.alert('On-call alert needed but on-call roster is empty', { message });
+    return { success: false, error: 'empty_roster' };
+  }
+
+  try {
+    return await notifiers[activeNotifier].notify(roster[0], message);
+  } catch (error) {
+    logger.error('Failed to alert on-call responder', { responder: roster[0].name, error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Pick up escalations that were still open when the server last stopped,
+ * restarting the ack timer for any nobody has acknowledged yet
+ */
+export async function restoreEscalations() {
+  const events = await memory.getOpenEscalatedEvents();
+
+  for (const event of events) {
+    const id = String(event.id);
+
+    if (escalations.has(id)) {
+      continue;
+    }
+
+    const metadata = event.metadata || {};
+    const pages = metadata.pages || [];
+
+    const escalation = {
+      id,
+      eventId: event.id,
+      phoneNumber: event.phone_number,
+      level: event.risk_level,
+      categories: event.risk_categories,
+      ackTimeoutMs: metadata.ackTimeoutMs ?? ACK_TIMEOUT_MINUTES * 60 * 1000,
+      rosterIndex: metadata.rosterIndex ?? pages.length - 1,
+      pages,
+      acknowledgedBy: metadata.acknowledgedBy || null,
+      acknowledgedAt: metadata.acknowledgedAt || null,
+      resolvedBy: null,
+      resolvedAt: null,
+      exhaustedAt: metadata.exhaustedAt || null,
+      createdAt: metadata.escalatedAt || null,
+      timer: null,
+    };
+
+    if (!escalation.acknowledgedAt && !escalation.exhaustedAt) {
+      const lastPageAt = Date.parse(pages[pages.length - 1]?.at) || Date.now();
+      const wait = Math.max(lastPageAt + escalation.ackTimeoutMs - Date.now(), 0);
+      escalation.timer = setTimeout(() => handleAckTimeout(id), wait);
+    }
+
+    escalations.set(id, escalation);
+  }
+
+  if (events.length > 0) {
+    logger.info('Open escalations restored', { count: events.length });
+  }
+
+  return events.length;
+}
+
+/**
+ * List active escalations (without timers)
+ */
+export function getActiveEscalations() {
+  return Array.from(escalations.values()).map(({ timer, phoneNumber, ...escalation }) => ({
+    ...escalation,
+    phoneNumber: phoneNumber.slice(-4),
+  }));
+}
+
+export default {
+  parseRoster,
+  setRoster,
+  getRoster,
+  registerNotifier,
+  setFallbackContact,
+  setNotifier,
+  getNotifier,
+  escalate,
+  acknowledge,
+  resolve,
+  handleResponderMessage,
+  alertOnCall,
+  restoreEscalations,
+  getActiveEscalations,
+};
@@ -0,0 +1,260 @@
+// Crisis Evaluation - Run the labeled corpus through the crisis pipeline and report precision/recall
+// Usage: node src/evalCrisis.js [--model=safe|crisis|fail|oracle] [--save-baseline]
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import safety from './safety.js';
+import crisisClassifier from './crisisClassifier.js';
+import crisisCorpus from './crisisCorpus.js';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const BASELINE_PATH = join(__dirname, 'crisisEvalBaseline.json');
+
+const CATEGORIES = crisisClassifier.VERDICT_CATEGORIES;
+
+/**
+ * Build a verdict reply as the model would send it (continuing the prefilled "{")
+ */
+function verdictReply(crisis, categories, severity, rationale) {
+  const verdict = { crisis, categories, severity, confidence: 0.9, rationale };
+  return JSON.stringify(verdict).slice(1);
+}
+
+// Stubbed models for the AI layer; each gets the message and its corpus entry (if any)
+export const STUB_MODELS = {
+  // The AI never finds a crisis: measures the keyword layer on its own
+  safe: () => verdictReply(false, [], 'none', 'Stub: no crisis.'),
+  // The AI flags everything it sees: measures how much the AI gate lets through
+  crisis: () => verdictReply(true, ['suicide'], 'high', 'Stub: crisis.'),
+  // The AI is down: measures the fail-safe rules
+  fail: () => {
+    throw new Error('Stub model unavailable');
+  },
+  // The AI agrees with the labels: the best the pipeline can do with a perfect model
+  oracle: (message, entry) => entry?.label === 'crisis'
+    ? verdictReply(true, [entry.category], 'high', 'Stub: labeled crisis.')
+    : verdictReply(false, [], 'low', 'Stub: labeled not crisis.'),
+};
+
+/**
+ * Run every corpus entry through checkCrisis with a stubbed model
+ */
+export async function evaluateCorpus(corpus, modelName = 'safe') {
+  const model = STUB_MODELS[modelName];
+
+  if (!model) {
+    throw new Error(`Unknown stub model "${modelName}"`);
+  }
+
+  const entriesByText = new Map(corpus.map(entry => [entry.text, entry]));
+  let aiCalled = false;
+
+  crisisClassifier.setCompletion(async request => {
+    aiCalled = true;
+    const message = crisisClassifier.getRequestMessage(request);
+    return model(message, entriesByText.get(message));
+  });
+
+  const results = [];
+
+  try {
+    for (const entry of corpus) {
+      aiCalled = false;
+      const assessment = await safety.checkCrisis(entry.text);
+      const flagged = assessment.isCrisis || safety.requiresReview(assessment);
+
+      results.push({
+        ...entry,
+        predicted: flagged ? assessment.categories : [],
+        isCrisis: assessment.isCrisis,
+        reason: assessment.reason || null,
+        aiCalled,
+      });
+    }
+  } finally {
+    crisisClassifier.setCompletion(null);
+  }
+
+  return buildReport(results, modelName);
+}
+
+/**
+ * Ratio rounded for display, or null when there is nothing to measure
+ */
+function ratio(numerator, denominator) {
+  return denominator === 0 ? null : Math.round((numerator / denominator) * 1000) / 1000;
+}
+
+/**
+ * Compute per-category precision/recall and collect misclassified examples
+ */
+function buildReport(results, modelName) {
+  // Ambiguous messages have no single right answer; they are reported separately
+  const scored = results.filter(result => result.label !== 'ambiguous');
+  const ambiguous = results.filter(result => result.label === 'ambiguous');
+
+  const categories = {};
+  for (const category of CATEGORIES) {
+    const expected = result => result.label === 'crisis' && result.category === category;
+    const predicted = result => result.predicted.includes(category);
+
+    const tp = scored.filter(result => expected(result) && predicted(result)).length;
+    const fp = scored.filter(result => !expected(result) && predicted(result)).length;
+    const fn = scored.filter(result => expected(result) && !predicted(result)).length;
+
+    categories[category] = { tp, fp, fn, precision: ratio(tp, tp + fp), recall: ratio(tp, tp + fn) };
+  }
+
+  const falseNegatives = scored
+    .filter(result => result.label === 'crisis' && !result.predicted.includes(result.category))
+    .map(({ text, category }) => ({ text, category }));
+
+  const falsePositives = scored
+    .filter(result => result.label === 'safe' && result.predicted.length > 0)
+    .map(({ text, predicted }) => ({ text, predicted }));
+
+  return {
+    model: modelName,
+    total: results.length,
+    categories,
+    falseNegatives,
+    falsePositives,
+    ambiguous: {
+      total: ambiguous.length,
+      routedToAI: ambiguous.filter(result => result.aiCalled).length,
+      automaticCrisis: ambiguous.filter(result => result.isCrisis && result.reason === 'keyword_match').length,
+    },
+    aiCalls: results.filter(result => result.aiCalled).length,
+  };
+}
+
+/**
+ * Compare a report with a saved baseline
+ */
+export function compareReports(baseline, current) {
+  const key = ({ text }) => text;
+  const baselineMisses = new Set(baseline.falseNegatives.map(key));
+  const currentMisses = new Set(current.falseNegatives.map(key));
+  const baselineFalseAlarms = new Set(baseline.falsePositives.map(key));
+  const currentFalseAlarms = new Set(current.falsePositives.map(key));
+
+  const metricChanges = [];
+  for (const category of CATEGORIES) {
+    for (const metric of ['precision', 'recall']) {
+      const before = baseline.categories[category]?.[metric] ?? null;
+      const after = current.categories[category]?.[metric] ?? null;
+
+      if (before !== after) {
+        metricChanges.push({ category, metric, before, after });
+      }
+    }
+  }
+
+  return {
+    sameModel: baseline.model === current.model,
+    metricChanges,
+    newFalseNegatives: current.falseNegatives.filter(miss => !baselineMisses.has(miss.text)),
+    fixedFalseNegatives: baseline.falseNegatives.filter(miss => !currentMisses.has(miss.text)),
+    newFalsePositives: current.falsePositives.filter(alarm => !baselineFalseAlarms.has(alarm.text)),
+    fixedFalsePositives: baseline.falsePositives.filter(alarm => !currentFalseAlarms.has(alarm.text)),
+  };
+}
+
+/**
+ * Format a ratio for the report table
+ */
+function formatRatio(value) {
+  return value === null ? '  -  ' : value.toFixed(3);
+}
+
+/**
+ * Print a report (and its diff against the baseline, if any)
+ */
+function printReport(report, diff) {
+  console.log(`Crisis detection evaluation (stub model: ${report.model}, ${report.total} messages)\n`);
+  console.log('category          precision  recall   tp  fp  fn');
+
+  for (const [category, m] of Object.entries(report.categories)) {
+    console.log(
+      `${category.padEnd(18)}${formatRatio(m.precision).padEnd(11)}${formatRatio(m.recall).padEnd(9)}` +
+      `${String(m.tp).padStart(2)}  ${String(m.fp).padStart(2)}  ${String(m.fn).padStart(2)}`
+    );
+  }
+
+  console.log(`\nAmbiguous: ${report.ambiguous.routedToAI}/${report.ambiguous.total} routed to AI, ` +
+    `${report.ambiguous.automaticCrisis} got an automatic crisis reply`);
+  console.log(`AI layer called for ${report.aiCalls}/${report.total} messages`);
+
+  console.log(`\nFalse negatives (${report.falseNegatives.length}):`);
+  report.falseNegatives.forEach(({ text, category }) => console.log(`  [${category}] ${text}`));
+
+  console.log(`\nFalse positives (${report.falsePositives.length}):`);
+  report.falsePositives.forEach(({ text, predicted }) => console.log(`  [${predicted.join(', ')}] ${text}`));
+
+  if (!diff) {
+    console.log('\nNo baseline saved yet (run with --save-baseline).');
+    return;
+  }
+
+  console.log('\nChanges since baseline:');
+  if (!diff.sameModel) {
+    console.log('  (baseline was run with a different stub model)');
+  }
+
+  diff.metricChanges.forEach(({ category, metric, before, after }) =>
+    console.log(`  ${category} ${metric}: ${formatRatio(before)} -> ${formatRatio(after)}`));
+  diff.newFalseNegatives.forEach(({ text, category }) => console.log(`  NEW MISS [${category}] ${text}`));
+  diff.fixedFalseNegatives.forEach(({ text, category }) => console.log(`  fixed miss [${category}] ${text}`));
+  diff.newFalsePositives.forEach(({ text }) => console.log(`  NEW FALSE ALARM ${text}`));
+  diff.fixedFalsePositives.forEach(({ text }) => console.log(`  fixed false alarm ${text}`));
+
+  const changes = diff.metricChanges.length + diff.newFalseNegatives.length +
+    diff.fixedFalseNegatives.length + diff.newFalsePositives.length + diff.fixedFalsePositives.length;
+  if (changes === 0) {
+    console.log('  none');
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const modelName = (args.find(arg => arg.startsWith('--model=')) || '--model=safe').split('=')[1];
+  const saveBaseline = args.includes('--save-baseline');
+
+  // Pipeline logging would drown out the report
+  logger.setSilent(true);
+
+  try {
+    const report = await evaluateCorpus(crisisCorpus.EVAL_CORPUS, modelName);
+    const baseline = fs.existsSync(BASELINE_PATH)
+      ? JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8'))
+      : null;
+    const diff = baseline ? compareReports(baseline, report) : null;
+
+    printReport(report, diff);
+
+    if (saveBaseline) {
+      fs.writeFileSync(BASELINE_PATH, `${JSON.stringify(report, null, 2)}\n`);
+      console.log(`\nBaseline saved to ${BASELINE_PATH}`);
+    }
+
+    // New misses against the same model are a regression
+    process.exit(diff && diff.sameModel && diff.newFalseNegatives.length > 0 && !saveBaseline ? 1 : 0);
+  } catch (error) {
+    console.error('Crisis evaluation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+export default {
+  STUB_MODELS,
+  evaluateCorpus,
+  compareReports,
+};
+
+// Run when invoked directly (not when imported by tests)
+if (process.argv[1] === __filename) {
+  main();
+}
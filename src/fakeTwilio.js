@@ -0,0 +1,133 @@
+// Fake Twilio Module - Local stand-in for the Twilio messages API (tests only; left out of the Docker image)
+import crypto from 'crypto';
+
+// Twilio's error for free-form WhatsApp messages outside the 24-hour window
+export const OUTSIDE_WINDOW_ERROR = 63016;
+
+const WHATSAPP_PREFIX = 'whatsapp:';
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Our number in the fake (pass it to twilio.setClient as the sender)
+export const FAKE_NUMBER = '+15550000000';
+
+/**
+ * An error shaped like the Twilio client's RestException
+ */
+function restError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Create a fake client: use with twilio.setClient(fake, { phoneNumber: FAKE_NUMBER })
+ * Sent messages are kept in `sent`; `receive` plays a user texting in and `deliver` a status update
+ * (both return the body Twilio would post)
+ */
+export function createFakeTwilio({ now = () => Date.now() } = {}) {
+  const sent = [];
+  const lastInbound = new Map();
+
+  // client.messages(sid).fetch() as well as client.messages.create()
+  const messages = sid => ({
+    fetch: async () => {
+      const message = sent.find(m => m.sid === sid);
+
+      if (!message) {
+        throw restError(404, 20404, `The requested resource /Messages/${sid}.json was not found`);
+      }
+
+      return message;
+    },
+  });
+
+  messages.create = async ({ to, from, body, contentSid, contentVariables, statusCallback }) => {
+    if (!to || !from) {
+      throw restError(400, 21604, `A 'To' and 'From' phone number is required.`);
+    }
+
+    if (!body && !contentSid) {
+      throw restError(400, 21602, 'Message body is required.');
+    }
+
+    const whatsapp = to.startsWith(WHATSAPP_PREFIX);
+
+    if (whatsapp !== from.startsWith(WHATSAPP_PREFIX)) {
+      throw restError(400, 63007, 'Twilio could not find a Channel with the specified From address');
+    }
+
+    // Templates can be sent anytime; free-form WhatsApp messages only inside the window
+    if (whatsapp && !contentSid && !(now() - (lastInbound.get(to) ?? -Infinity) < SESSION_WINDOW_MS)) {
+      throw restError(400, OUTSIDE_WINDOW_ERROR,
+        'Failed to send freeform message because you are outside the allowed window. Please use a Template.');
+    }
+
+    const message = {
+      sid: `SM${crypto.randomBytes(16).toString('hex')}`,
+      status: 'queued',
+      to,
+      from,
+      body: body || null,
+      contentSid: contentSid || null,
+      contentVariables: contentVariables || null,
+      statusCallback: statusCallback || null,
+      dateCreated: new Date(now()),
+      dateSent: null,
+      errorCode: null,
+      errorMessage: null,
+    };
+
+    sent.push(message);
+    return message;
+  };
+
+  return {
+    messages,
+    sent,
+
+    // A user sends us a message; returns the body Twilio would post to the webhook
+    receive(from, body, to = FAKE_NUMBER) {
+      if (from.startsWith(WHATSAPP_PREFIX)) {
+        lastInbound.set(from, now());
+      }
+
+      return {
+        From: from,
+        To: from.startsWith(WHATSAPP_PREFIX) ? `${WHATSAPP_PREFIX}${to}` : to,
+        Body: body,
+        MessageSid: `SM${crypto.randomBytes(16).toString('hex')}`,
+        AccountSid: 'ACfake',
+        NumMedia: '0',
+      };
+    },
+
+    // A sent message reaches a new status; returns the body Twilio would post to the status callback
+    deliver(sid, status = 'delivered', errorCode = null) {
+      const message = sent.find(m => m.sid === sid);
+
+      message.status = status;
+      message.errorCode = errorCode;
+
+      return {
+        MessageSid: sid,
+        MessageStatus: status,
+        ...(errorCode ? { ErrorCode: String(errorCode) } : {}),
+        To: message.to,
+        From: message.from,
+        AccountSid: 'ACfake',
+      };
+    },
+
+    // Messages sent to one address
+    sentTo(to) {
+      return sent.filter(message => message.to === to);
+    },
+  };
+}
+
+export default {
+  OUTSIDE_WINDOW_ERROR,
+  FAKE_NUMBER,
+  createFakeTwilio,
+};
@@ -0,0 +1,261 @@
+// Guided Exercise Module - Paced breathing and grounding exercises, one step per message
+import dotenv from 'dotenv';
+import channels from './channels.js';
+import memory from './memory.js';
+import sessionManager from './sessionManager.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+export const FLOW_TYPE = 'exercise';
+
+// Seconds between timed cues (box breathing counts 4 for each side of the box)
+const CUE_INTERVAL_MS = parseInt(process.env.EXERCISE_CUE_SECONDS || '4') * 1000;
+
+// Rounds of box breathing before asking how they feel
+const BREATHING_ROUNDS = parseInt(process.env.EXERCISE_BREATHING_ROUNDS || '3');
+
+// Words that end an exercise early (STOP is left to the unsubscribe command)
+export const STOP_WORDS = ['done', 'cancel', 'quit', 'end', 'pause'];
+
+// Most exercise results kept per user
+const MAX_LOG_ENTRIES = 20;
+
+const RATING_PROMPT = `How do you feel now, from 1 (worse) to 10 (much better)?`;
+
+/**
+ * Box breathing cues for a number of rounds
+ */
+export function getBreathingCues(rounds = BREATHING_ROUNDS) {
+  const box = ['Breathe in... 2... 3... 4', 'Hold... 2... 3... 4', 'Breathe out... 2... 3... 4', 'Hold... 2... 3... 4'];
+
+  return Array.from({ length: rounds }, (_, round) =>
+    box.map((cue, i) => (i === 0 && rounds > 1 ? `(${round + 1}/${rounds}) ${cue}` : cue))
+  ).flat();
+}
+
+// Timed exercises send cues on a clock; paced ones wait for a reply to each step
+export const EXERCISES = {
+  breathe: {
+    title: 'Box breathing',
+    paced: false,
+    intro: () => `Let's do box breathing together: breathe in, hold, breathe out, hold - 4 seconds each. ` +
+      `I'll text you each step. Get comfortable, and text DONE to stop anytime.`,
+    steps: () => getBreathingCues(),
+  },
+  grounding: {
+    title: '5-4-3-2-1 grounding',
+    paced: true,
+    intro: () => `Let's try the 5-4-3-2-1 grounding technique, one sense at a time. ` +
+      `Reply when you're ready for the next one, or text DONE to stop.`,
+    steps: () => [
+      `Look around and name 5 things you can SEE.`,
+      `Nice. Now 4 things you can TOUCH or feel (your feet on the floor, your sleeve...).`,
+      `Now 3 things you can HEAR.`,
+      `2 things you can SMELL (or 2 smells you like).`,
+      `Last one: 1 thing you can TASTE.`,
+    ],
+  },
+};
+
+// Pending cue timers by phone number
+const timers = new Map();
+
+/**
+ * Cancel a pending timed cue
+ */
+function cancelTimer(phoneNumber) {
+  clearTimeout(timers.get(phoneNumber));
+  timers.delete(phoneNumber);
+}
+
+/**
+ * Start an exercise; returns the first message (timed cues follow on their own)
+ */
+export async function startExercise(phoneNumber, name) {
+  const exercise = EXERCISES[name];
+  const steps = exercise.steps();
+
+  cancelTimer(phoneNumber);
+
+  await sessionManager.setActiveFlow(phoneNumber, {
+    type: FLOW_TYPE,
+    exercise: name,
+    step: 0,
+    totalSteps: steps.length,
+    awaitingRating: false,
+    stoppedEarly: false,
+    startedAt: new Date().toISOString(),
+  });
+
+  logger.info('Guided exercise started', { phoneNumber: phoneNumber.slice(-4), exercise: name });
+
+  if (exercise.paced) {
+    return `${exercise.intro()}\n\n${steps[0]}`;
+  }
+
+  scheduleCue(phoneNumber, name, 0);
+  return exercise.intro();
+}
+
+/**
+ * Send timed cue number `step` after the interval, then schedule the next
+ */
+function scheduleCue(phoneNumber, name, step) {
+  timers.set(phoneNumber, setTimeout(() => sendCue(phoneNumber, name, step), CUE_INTERVAL_MS));
+}
+
+/**
+ * Send a timed cue if the exercise is still running (or the rating prompt after the last one)
+ */
+async function sendCue(phoneNumber, name, step) {
+  try {
+    timers.delete(phoneNumber);
+
+    const session = await sessionManager.getSession(phoneNumber);
+    const flow = session.activeFlow;
+
+    if (flow?.type !== FLOW_TYPE || flow.exercise !== name || flow.awaitingRating) {
+      return;
+    }
+
+    const steps = EXERCISES[name].steps();
+    const done = step >= steps.length;
+    const message = done ? `That's it. ${RATING_PROMPT}` : steps[step];
+
+    await sessionManager.setActiveFlow(phoneNumber, { ...flow, step: done ? step : step + 1, awaitingRating: done });
+    const delivery = await channels.sendMessage(phoneNumber, message);
+    await memory.storeMessage(phoneNumber, message, 'outgoing', 'none', [], {}, delivery.messageSids);
+
+    if (!done) {
+      scheduleCue(phoneNumber, name, step + 1);
+    }
+  } catch (error) {
+    logger.error('Failed to send exercise cue', { error: error.message, phoneNumber });
+  }
+}
+
+/**
+ * Parse a 1-10 rating from a reply, or null
+ */
+export function parseRating(message) {
+  const match = message.trim().match(/^(\d{1,2})(\s*\/\s*10)?\b/);
+  const rating = match ? parseInt(match[1]) : null;
+
+  return rating >= 1 && rating <= 10 ? rating : null;
+}
+
+/**
+ * Keep the result of an exercise in the user's metadata
+ */
+async function recordResult(phoneNumber, flow, rating = null, stoppedEarly = flow.stoppedEarly || false) {
+  const profile = await memory.getUserProfile(phoneNumber);
+  const log = profile?.metadata?.exerciseLog || [];
+
+  const entry = {
+    exercise: flow.exercise,
+    startedAt: flow.startedAt,
+    endedAt: new Date().toISOString(),
+    stepsCompleted: flow.step,
+    totalSteps: flow.totalSteps,
+    stoppedEarly,
+    rating,
+  };
+
+  logger.info('Guided exercise ended', { phoneNumber: phoneNumber.slice(-4), ...entry });
+
+  return await memory.updateUserMetadata(phoneNumber, {
+    exerciseLog: [...log, entry].slice(-MAX_LOG_ENTRIES),
+  });
+}
+
+/**
+ * Stop a running exercise (no reply); used when something more important comes up
+ */
+export async function cancelExercise(phoneNumber) {
+  cancelTimer(phoneNumber);
+
+  const session = await sessionManager.getSession(phoneNumber);
+  const flow = session.activeFlow;
+
+  if (flow?.type !== FLOW_TYPE) {
+    return false;
+  }
+
+  await sessionManager.clearActiveFlow(phoneNumber);
+  await recordResult(phoneNumber, flow, null, flow.stoppedEarly || !flow.awaitingRating);
+  return true;
+}
+
+/**
+ * Handle a reply during an exercise
+ * Returns the reply to send, or null when the message should go on to the AI instead
+ */
+export async function handleExerciseResponse(phoneNumber, message) {
+  const session = await sessionManager.getSession(phoneNumber);
+  const flow = session.activeFlow;
+
+  if (flow?.type !== FLOW_TYPE) {
+    return null;
+  }
+
+  const command = message.trim().toLowerCase();
+
+  if (STOP_WORDS.includes(command)) {
+    cancelTimer(phoneNumber);
+
+    if (flow.awaitingRating) {
+      await sessionManager.clearActiveFlow(phoneNumber);
+      await recordResult(phoneNumber, flow);
+      return `No problem. I'm here if you want to talk.`;
+    }
+
+    await sessionManager.setActiveFlow(phoneNumber, { ...flow, awaitingRating: true, stoppedEarly: true });
+    return `Okay, we can stop here. ${RATING_PROMPT}`;
+  }
+
+  if (flow.awaitingRating) {
+    const rating = parseRating(message);
+    await sessionManager.clearActiveFlow(phoneNumber);
+    await recordResult(phoneNumber, flow, rating);
+
+    // Anything other than a number is them telling us how they are, so let the AI answer
+    if (rating === null) {
+      return null;
+    }
+
+    return rating <= 4
+      ? `Thanks for telling me. It's okay if it didn't help much. Do you want to talk about what's going on?`
+      : `Thanks for telling me. Nice work taking a few minutes for yourself. Text ${flow.exercise.toUpperCase()} anytime to do it again.`;
+  }
+
+  // Talking during timed cues: stop the cues and answer them normally
+  if (!EXERCISES[flow.exercise].paced) {
+    cancelTimer(phoneNumber);
+    await sessionManager.clearActiveFlow(phoneNumber);
+    await recordResult(phoneNumber, flow, null, true);
+    return null;
+  }
+
+  const steps = EXERCISES[flow.exercise].steps();
+  const nextStep = flow.step + 1;
+
+  if (nextStep >= steps.length) {
+    await sessionManager.setActiveFlow(phoneNumber, { ...flow, step: nextStep, awaitingRating: true });
+    return `You did it. ${RATING_PROMPT}`;
+  }
+
+  await sessionManager.setActiveFlow(phoneNumber, { ...flow, step: nextStep });
+  return steps[nextStep];
+}
+
+export default {
+  FLOW_TYPE,
+  STOP_WORDS,
+  EXERCISES,
+  getBreathingCues,
+  startExercise,
+  parseRating,
+  cancelExercise,
+  handleExerciseResponse,
+};
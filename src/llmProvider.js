@@ -0,0 +1,325 @@
+// LLM Provider Module - One interface for model calls (Anthropic, or a local mock for offline use)
+import Anthropic from '@anthropic-ai/sdk';
+import fs from 'fs';
+import dotenv from 'dotenv';
+import usageTracker from './usageTracker.js';
+import resilience from './resilience.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+// Models by purpose; every call names its purpose instead of a model
+export const MODELS = {
+  chat: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514',
+  classifier: process.env.ANTHROPIC_SAFETY_MODEL || process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514',
+  // Cheaper model for users or days over their soft budget
+  economy: process.env.ANTHROPIC_ECONOMY_MODEL || 'claude-3-5-haiku-20241022',
+  // Mood/topic labelling runs on every message, so it defaults to the cheaper model
+  extraction: process.env.ANTHROPIC_EXTRACTION_MODEL || process.env.ANTHROPIC_ECONOMY_MODEL || 'claude-3-5-haiku-20241022',
+};
+
+/**
+ * Rough token count for providers that don't report usage
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Anthropic provider (client created on first use, so no key is needed to load it)
+ */
+function createAnthropicProvider() {
+  let client = null;
+
+  return {
+    name: 'anthropic',
+
+    async complete({ purpose = 'chat', economy = false, system, messages, maxTokens = 500, temperature = 0.7, signal }) {
+      if (!client) {
+        // Retries and timeouts are handled by the resilience layer
+        client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, maxRetries: 0 });
+      }
+
+      const model = economy ? MODELS.economy : MODELS[purpose] || MODELS.chat;
+      const startTime = Date.now();
+
+      const response = await client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        system,
+        messages,
+      }, { signal });
+
+      logger.logAPICall('anthropic', 'messages.create', Date.now() - startTime, 'success');
+
+      return {
+        text: response.content[0]?.text || '',
+        model,
+        usage: {
+          inputTokens: response.usage?.input_tokens || 0,
+          outputTokens: response.usage?.output_tokens || 0,
+        },
+      };
+    },
+  };
+}
+
+// Mock replies when nothing is scripted, by purpose
+const MOCK_DEFAULT_REPLIES = {
+  chat: [
+    `That sounds like a lot to carry. What feels hardest about it right now?`,
+    `Thanks for telling me. How are you feeling about it at the moment?`,
+    `I hear you. Do you want to talk through what happened?`,
+  ],
+  classifier: [
+    JSON.stringify({
+      crisis: false,
+      categories: [],
+      severity: 'none',
+      confidence: 0.5,
+      rationale: 'Mock provider verdict.',
+    }),
+  ],
+  summary: [
+    JSON.stringify({
+      summary: 'Mock provider summary of earlier conversations.',
+      keyPeople: [],
+      stressors: [],
+      whatHelped: [],
+    }),
+  ],
+  extraction: [
+    JSON.stringify({
+      topics: ['general'],
+      mood: 'neutral',
+      intensity: 1,
+      confidence: 0.5,
+    }),
+  ],
+};
+
+/**
+ * Build an error shaped like the Anthropic SDK's (status + type)
+ */
+function createProviderError({ message = 'Mock provider error', status = 500, type = 'api_error' } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.type = type;
+  return error;
+}
+
+/**
+ * Deterministic local provider: scripted replies, injected latency and errors
+ */
+function createMockProvider(options = {}) {
+  const state = {
+    latencyMs: options.latencyMs ?? parseInt(process.env.MOCK_LLM_LATENCY_MS || '0'),
+    failEvery: options.failEvery ?? parseInt(process.env.MOCK_LLM_FAIL_EVERY || '0'),
+    script: [],
+    failures: [],
+    defaults: { ...MOCK_DEFAULT_REPLIES, ...loadScriptFile(process.env.MOCK_LLM_SCRIPT) },
+    calls: [],
+  };
+
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  return {
+    name: 'mock',
+
+    async complete(request) {
+      const { purpose = 'chat', messages = [] } = request;
+      state.calls.push(request);
+
+      const step = state.script.length > 0 ? state.script.shift() : null;
+      const latency = step?.latencyMs ?? state.latencyMs;
+      if (latency > 0) {
+        await sleep(latency);
+      }
+
+      if (state.failures.length > 0) {
+        throw createProviderError(state.failures.shift());
+      }
+      if (state.failEvery > 0 && state.calls.length % state.failEvery === 0) {
+        throw createProviderError({ message: `Mock provider failure on call ${state.calls.length}` });
+      }
+      if (step?.error) {
+        throw createProviderError(step.error);
+      }
+
+      let text;
+      if (step) {
+        text = typeof step.reply === 'function' ? step.reply(request) : step.reply;
+      } else {
+        // Same conversation, same reply
+        const replies = state.defaults[purpose] || state.defaults.chat;
+        const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+        const index = [...String(lastUser)].reduce((sum, char) => sum + char.charCodeAt(0), 0) % replies.length;
+        text = replies[index];
+      }
+
+      // Replies continue a prefilled assistant turn, like the real API
+      const prefill = messages[messages.length - 1]?.role === 'assistant' ? messages[messages.length - 1].content : '';
+      if (prefill && text.startsWith(prefill)) {
+        text = text.slice(prefill.length);
+      }
+
+      return {
+        text,
+        model: request.economy ? 'mock-economy' : `mock-${purpose}`,
+        usage: {
+          inputTokens: estimateTokens(JSON.stringify(messages) + (request.system || '')),
+          outputTokens: estimateTokens(text),
+        },
+      };
+    },
+
+    /**
+     * Queue replies for the next calls: strings, functions of the request,
+     * or { reply, latencyMs, error: { message, status, type } }
+     */
+    script(steps) {
+      state.script.push(...steps.map(step =>
+        typeof step === 'object' && step !== null && typeof step !== 'function' ? step : { reply: step }
+      ));
+    },
+
+    /**
+     * Make the next calls fail ({ message, status, type })
+     */
+    failNext(count = 1, error = {}) {
+      for (let i = 0; i < count; i++) {
+        state.failures.push(error);
+      }
+    },
+
+    setLatency(ms) {
+      state.latencyMs = ms;
+    },
+
+    setDefaultReplies(purpose, replies) {
+      state.defaults[purpose] = replies;
+    },
+
+    getCalls() {
+      return [...state.calls];
+    },
+
+    reset() {
+      state.script = [];
+      state.failures = [];
+      state.calls = [];
+      state.latencyMs = 0;
+      state.failEvery = 0;
+    },
+  };
+}
+
+/**
+ * Load default mock replies ({ purpose: [replies] }) from a JSON file
+ */
+function loadScriptFile(path) {
+  if (!path) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    logger.error('Failed to load mock LLM script', { error: error.message, path });
+    return {};
+  }
+}
+
+const providers = {
+  anthropic: createAnthropicProvider(),
+  mock: createMockProvider(),
+};
+
+let activeProvider = process.env.LLM_PROVIDER || 'anthropic';
+
+if (!providers[activeProvider]) {
+  logger.error(`Unknown LLM_PROVIDER "${activeProvider}", using anthropic`);
+  activeProvider = 'anthropic';
+}
+
+/**
+ * Register a provider (must implement complete(request))
+ */
+export function registerProvider(name, provider) {
+  if (!provider || typeof provider.complete !== 'function') {
+    throw new Error(`Provider "${name}" must implement complete(request)`);
+  }
+
+  providers[name] = provider;
+}
+
+/**
+ * Select which provider handles model calls
+ */
+export function setProvider(name) {
+  if (!providers[name]) {
+    throw new Error(`Unknown provider "${name}"`);
+  }
+
+  activeProvider = name;
+}
+
+/**
+ * Get a provider by name (the active one by default)
+ */
+export function getProvider(name = activeProvider) {
+  return providers[name];
+}
+
+/**
+ * Run a completion on the active provider (with retries, timeouts and its circuit breaker)
+ * and record its usage
+ * request: { purpose, economy, phoneNumber, system, messages, maxTokens, temperature }
+ * returns: { text, model, usage: { inputTokens, outputTokens }, cost }
+ */
+export async function complete(request) {
+  const { phoneNumber = null, ...providerRequest } = request;
+  const name = activeProvider;
+
+  const response = await resilience.callWithResilience(
+    signal => providers[name].complete({ ...providerRequest, signal }),
+    { name, purpose: request.purpose || 'chat' }
+  );
+
+  const cost = await usageTracker.recordUsage({
+    phoneNumber,
+    purpose: request.purpose || 'chat',
+    model: response.model,
+    usage: response.usage,
+  });
+
+  return { ...response, cost };
+}
+
+/**
+ * Check whether the active provider's circuit is accepting calls
+ */
+export function isAvailable() {
+  return !resilience.getBreaker(activeProvider).isOpen();
+}
+
+/**
+ * Get the active provider and its circuit state, for /health
+ */
+export function getHealth() {
+  return {
+    provider: activeProvider,
+    circuit: resilience.getBreaker(activeProvider).getState(),
+  };
+}
+
+export default {
+  MODELS,
+  registerProvider,
+  setProvider,
+  getProvider,
+  complete,
+  isAvailable,
+  getHealth,
+};
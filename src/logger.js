@@ -85,6 +85,11 @@ export default {
   http: (message, meta = {}) => logger.http(message, meta),
   debug: (message, meta = {}) => logger.debug(message, meta),
 
+  // Turn all output off (e.g. for CLI tools that print their own report)
+  setSilent: (silent) => {
+    logger.silent = silent;
+  },
+
   // Specialized logging methods
   logConversation: (phoneNumber, message, isIncoming, riskLevel = 'none') => {
     logger.info('Conversation', {
@@ -119,6 +124,18 @@ export default {
     });
   },
 
+  logOutputViolation: (phoneNumber, { path, attempt, rule, match }) => {
+    logger.warn('Output policy violation', {
+      type: 'output_violation',
+      phoneNumber: phoneNumber ? phoneNumber.slice(-4) : null, // Only log last 4 digits for privacy
+      path,
+      attempt,
+      rule,
+      match,
+      timestamp: new Date().toISOString(),
+    });
+  },
+
   logError: (error, context = {}) => {
     logger.error('Error occurred', {
       type: 'error',
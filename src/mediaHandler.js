@@ -0,0 +1,84 @@
+// Media Handler Module - Photos, voice notes and other attachments on incoming messages
+import transcriber from './transcriber.js';
+import crisisResources from './crisisResources.js';
+import logger from './logger.js';
+
+// What goes into the stored history for an attachment with no text
+const PLACEHOLDERS = {
+  voice: '[voice note]',
+  image: '[photo]',
+  video: '[video]',
+  other: '[attachment]',
+};
+
+/**
+ * Get the kind of an attachment from its content type: voice, image, video or other
+ */
+export function getMediaKind(contentType = '') {
+  if (contentType.startsWith('audio/')) return 'voice';
+  if (contentType.startsWith('image/')) return 'image';
+  if (contentType.startsWith('video/')) return 'video';
+  return 'other';
+}
+
+/**
+ * Reply to a message with nothing we could read. We can't tell what a photo or an
+ * unheard voice note says, so the hotlines are always included.
+ */
+export function getMediaReply(kinds, phoneNumber) {
+  const hotlines = crisisResources.getHotlineSummary(crisisResources.getCountryForPhoneNumber(phoneNumber));
+
+  const opening = kinds.includes('voice')
+    ? `I couldn't listen to that voice note. Could you type what's on your mind?`
+    : kinds.includes('image')
+      ? `Thanks for sharing that. I can't see pictures, but I'd really like to hear about it. What's going on?`
+      : `I can't open that, but I'm here to listen. Could you tell me in a text what's going on?`;
+
+  return `${opening} If you need help right now, please ${hotlines}.`;
+}
+
+/**
+ * Process the attachments on an incoming message: voice notes are transcribed so they can
+ * be handled like text. Returns:
+ *   text        - the message text and any transcripts ('' if there is nothing to read)
+ *   media       - [{ url, contentType, kind, transcribed }] for the stored message
+ *   placeholder - what to store instead of an empty message
+ *   reply       - the reply to send when there is nothing to read, otherwise null
+ */
+export async function processMedia(phoneNumber, body, media) {
+  const items = [];
+  const transcripts = [];
+
+  for (const item of media) {
+    const kind = getMediaKind(item.contentType);
+    const transcript = kind === 'voice' ? await transcriber.transcribe(item, phoneNumber) : null;
+
+    if (transcript) {
+      transcripts.push(transcript);
+    }
+
+    items.push({ url: item.url, contentType: item.contentType, kind, transcribed: Boolean(transcript) });
+  }
+
+  const text = [body?.trim(), ...transcripts].filter(Boolean).join('\n');
+
+  logger.info('Incoming media processed', {
+    phoneNumber: phoneNumber.slice(-4),
+    kinds: items.map(item => item.kind),
+    transcribed: transcripts.length,
+    hasText: Boolean(body?.trim()),
+  });
+
+  return {
+    text,
+    media: items,
+    placeholder: items.map(item => PLACEHOLDERS[item.kind]).join(' '),
+    reply: text ? null : getMediaReply(items.map(item => item.kind), phoneNumber),
+  };
+}
+
+export default {
+  getMediaKind,
+  getMediaReply,
+  processMedia,
+};
@@ -11,6 +11,12 @@ const { Pool } = pg;
 // Redis client for session/temporary storage
 let redisClient;
 
+// How long a webhook's MessageSid is remembered, so Twilio's retries are processed only once
+const DEDUPE_TTL_SECONDS = parseInt(process.env.WEBHOOK_DEDUPE_TTL_HOURS || '24') * 60 * 60;
+
+// Last-resort record of MessageSids (sid -> expiry) when Redis and the database are both down
+const recentMessageSids = new Map();
+
 // PostgreSQL client for persistent storage
 const pgPool = new Pool({
   connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
@@ -53,7 +59,7 @@ export async function initializeDatabase() {
     // Create users table
     await pgPool.query(`
       CREATE TABLE IF NOT EXISTS users (
-        phone_number VARCHAR(20) PRIMARY KEY,
+        phone_number VARCHAR(32) PRIMARY KEY,
         first_interaction TIMESTAMP DEFAULT NOW(),
         last_interaction TIMESTAMP DEFAULT NOW(),
         total_messages INTEGER DEFAULT 0,
@@ -68,14 +74,19 @@ export async function initializeDatabase() {
     await pgPool.query(`
       CREATE TABLE IF NOT EXISTS conversations (
         id SERIAL PRIMARY KEY,
-        phone_number VARCHAR(20) REFERENCES users(phone_number),
+        phone_number VARCHAR(32) REFERENCES users(phone_number),
         message TEXT NOT NULL,
         direction VARCHAR(10) NOT NULL, -- 'incoming' or 'outgoing'
         risk_level VARCHAR(20) DEFAULT 'none',
         risk_categories TEXT[],
         timestamp TIMESTAMP DEFAULT NOW(),
         session_id VARCHAR(100),
-        metadata JSONB DEFAULT '{}'::jsonb
+        metadata JSONB DEFAULT '{}'::jsonb,
+        message_sids TEXT[],
+        delivery_status VARCHAR(20),
+        delivery_error_code INTEGER,
+        delivery_attempts INTEGER DEFAULT 1,
+        delivery_updated_at TIMESTAMP
       );
     `);
 
@@ -83,7 +94,7 @@ export async function initializeDatabase() {
     await pgPool.query(`
       CREATE TABLE IF NOT EXISTS crisis_events (
         id SERIAL PRIMARY KEY,
-        phone_number VARCHAR(20) REFERENCES users(phone_number),
+        phone_number VARCHAR(32) REFERENCES users(phone_number),
         risk_level VARCHAR(20) NOT NULL,
         risk_categories TEXT[] NOT NULL,
         message_preview TEXT,
@@ -98,7 +109,7 @@ export async function initializeDatabase() {
     await pgPool.query(`
       CREATE TABLE IF NOT EXISTS check_ins (
         id SERIAL PRIMARY KEY,
-        phone_number VARCHAR(20) REFERENCES users(phone_number),
+        phone_number VARCHAR(32) REFERENCES users(phone_number),
         sent_at TIMESTAMP DEFAULT NOW(),
         responded BOOLEAN DEFAULT false,
         response_text TEXT,
@@ -107,6 +118,46 @@ export async function initializeDatabase() {
       );
     `);
 
+    // Create llm_usage table (one row per model call)
+    await pgPool.query(`
+      CREATE TABLE IF NOT EXISTS llm_usage (
+        id SERIAL PRIMARY KEY,
+        phone_number VARCHAR(32),
+        purpose VARCHAR(30) NOT NULL,
+        model VARCHAR(100) NOT NULL,
+        input_tokens INTEGER NOT NULL DEFAULT 0,
+        output_tokens INTEGER NOT NULL DEFAULT 0,
+        cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    // User ids used to be phone numbers only; "whatsapp:+<15 digits>" needs more room
+    await pgPool.query(`
+      ALTER TABLE users ALTER COLUMN phone_number TYPE VARCHAR(32);
+      ALTER TABLE conversations ALTER COLUMN phone_number TYPE VARCHAR(32);
+      ALTER TABLE crisis_events ALTER COLUMN phone_number TYPE VARCHAR(32);
+      ALTER TABLE check_ins ALTER COLUMN phone_number TYPE VARCHAR(32);
+      ALTER TABLE llm_usage ALTER COLUMN phone_number TYPE VARCHAR(32);
+    `);
+
+    // Delivery tracking for outgoing messages (Twilio MessageSids and status callbacks)
+    await pgPool.query(`
+      ALTER TABLE conversations ADD COLUMN IF NOT EXISTS message_sids TEXT[];
+      ALTER TABLE conversations ADD COLUMN IF NOT EXISTS delivery_status VARCHAR(20);
+      ALTER TABLE conversations ADD COLUMN IF NOT EXISTS delivery_error_code INTEGER;
+      ALTER TABLE conversations ADD COLUMN IF NOT EXISTS delivery_attempts INTEGER DEFAULT 1;
+      ALTER TABLE conversations ADD COLUMN IF NOT EXISTS delivery_updated_at TIMESTAMP;
+    `);
+
+    // Create processed_messages table (webhook idempotency when Redis is down)
+    await pgPool.query(`
+      CREATE TABLE IF NOT EXISTS processed_messages (
+        message_sid VARCHAR(64) PRIMARY KEY,
+        received_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
     // Create indexes for performance
     await pgPool.query(`
       CREATE INDEX IF NOT EXISTS idx_conversations_phone ON conversations(phone_number);
@@ -114,6 +165,10 @@ export async function initializeDatabase() {
       CREATE INDEX IF NOT EXISTS idx_crisis_events_phone ON crisis_events(phone_number);
       CREATE INDEX IF NOT EXISTS idx_crisis_events_timestamp ON crisis_events(timestamp DESC);
       CREATE INDEX IF NOT EXISTS idx_users_risk_level ON users(risk_level);
+      CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage(created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_llm_usage_phone_created_at ON llm_usage(phone_number, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_conversations_message_sids ON conversations USING GIN (message_sids);
+      CREATE INDEX IF NOT EXISTS idx_processed_messages_received_at ON processed_messages(received_at);
     `);
 
     logger.info('Database initialized successfully');
@@ -126,14 +181,17 @@ export async function initializeDatabase() {
 
 /**
  * Store conversation message
+ * (messageSids: Twilio MessageSids of an outgoing message, so delivery callbacks can find it)
+ * Returns the stored message's id, or null
  */
-export async function storeMessage(phoneNumber, message, direction, riskLevel = 'none', riskCategories = []) {
+export async function storeMessage(phoneNumber, message, direction, riskLevel = 'none', riskCategories = [], metadata = {}, messageSids = []) {
   try {
     // Store in PostgreSQL for permanent history
-    await pgPool.query(
-      `INSERT INTO conversations (phone_number, message, direction, risk_level, risk_categories)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [phoneNumber, message, direction, riskLevel, riskCategories]
+    const stored = await pgPool.query(
+      `INSERT INTO conversations (phone_number, message, direction, risk_level, risk_categories, metadata, message_sids)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [phoneNumber, message, direction, riskLevel, riskCategories, JSON.stringify(metadata), messageSids.length ? messageSids : null]
     );
 
     // Update user's last interaction
@@ -154,10 +212,10 @@ export async function storeMessage(phoneNumber, message, direction, riskLevel =
       );
     }
 
-    return true;
+    return stored.rows[0].id;
   } catch (error) {
     logger.error('Failed to store message', { error: error.message, phoneNumber });
-    return false;
+    return null;
   }
 }
 
@@ -182,16 +240,76 @@ export async function getConversationHistory(phoneNumber, limit = 10) {
   }
 }
 
+/**
+ * Record a delivery status callback on the outgoing message it belongs to
+ * statusOrder lists statuses from earliest to final; a status never replaces a later one
+ * (callbacks can arrive out of order, and a failed part of a long reply should stick).
+ * Once a message has been resent only its latest sid counts: a late failure for an earlier
+ * attempt mustn't undo the redelivery in progress
+ * Returns { id, phone_number, message, risk_level, metadata, delivery_status, delivery_attempts }, or null
+ */
+export async function updateDeliveryStatus(messageSid, status, errorCode, statusOrder) {
+  try {
+    const result = await pgPool.query(
+      `UPDATE conversations
+       SET delivery_status = $2, delivery_error_code = $3, delivery_updated_at = NOW()
+       WHERE direction = 'outgoing' AND $1 = ANY(message_sids)
+         AND (delivery_attempts = 1 OR $1 = message_sids[array_upper(message_sids, 1)])
+         AND COALESCE(array_position($4::text[], delivery_status), 0) <= COALESCE(array_position($4::text[], $2), 0)
+       RETURNING id, phone_number, message, risk_level, metadata, delivery_status, delivery_attempts`,
+      [messageSid, status, errorCode, statusOrder]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Failed to update delivery status', { error: error.message, messageSid });
+    return null;
+  }
+}
+
+/**
+ * Record another attempt at delivering an outgoing message (messageSid is null if sending failed)
+ * Returns the updated delivery_attempts, or null
+ */
+export async function recordDeliveryAttempt(conversationId, messageSid) {
+  try {
+    const result = await pgPool.query(
+      `UPDATE conversations
+       SET message_sids = CASE WHEN $2::text IS NULL THEN message_sids ELSE array_append(message_sids, $2::text) END,
+           delivery_status = CASE WHEN $2::text IS NULL THEN 'failed' ELSE 'queued' END,
+           delivery_attempts = delivery_attempts + 1,
+           delivery_updated_at = NOW()
+       WHERE id = $1
+       RETURNING delivery_attempts`,
+      [conversationId, messageSid]
+    );
+
+    return result.rows[0]?.delivery_attempts ?? null;
+  } catch (error) {
+    logger.error('Failed to record delivery attempt', { error: error.message, conversationId });
+    return null;
+  }
+}
+
 /**
  * Store crisis event
  */
 export async function storeCrisisEvent(phoneNumber, assessment, messagePreview) {
   try {
     const result = await pgPool.query(
-      `INSERT INTO crisis_events (phone_number, risk_level, risk_categories, message_preview)
-       VALUES ($1, $2, $3, $4)
+      `INSERT INTO crisis_events (phone_number, risk_level, risk_categories, message_preview, metadata)
+       VALUES ($1, $2, $3, $4, $5)
        RETURNING id`,
-      [phoneNumber, assessment.level, assessment.categories, messagePreview]
+      [
+        phoneNumber,
+        assessment.level,
+        assessment.categories,
+        messagePreview,
+        JSON.stringify({
+          reason: assessment.reason || null,
+          trajectory: assessment.trajectory?.escalated ? assessment.trajectory : null,
+        }),
+      ]
     );
 
     logger.alert('Crisis event stored', {
@@ -207,6 +325,131 @@ export async function storeCrisisEvent(phoneNumber, assessment, messagePreview)
   }
 }
 
+/**
+ * Mark crisis event as escalated to a human responder
+ */
+export async function markCrisisEventEscalated(eventId, details = {}) {
+  try {
+    await pgPool.query(
+      `UPDATE crisis_events
+       SET escalated = true, metadata = metadata || $2::jsonb
+       WHERE id = $1`,
+      [eventId, JSON.stringify(details)]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error('Failed to mark crisis event escalated', { error: error.message, eventId });
+    return false;
+  }
+}
+
+/**
+ * Merge details into a crisis event's metadata
+ */
+export async function updateCrisisEventMetadata(eventId, details = {}) {
+  try {
+    await pgPool.query(
+      `UPDATE crisis_events SET metadata = metadata || $2::jsonb WHERE id = $1`,
+      [eventId, JSON.stringify(details)]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error('Failed to update crisis event', { error: error.message, eventId });
+    return false;
+  }
+}
+
+/**
+ * Mark crisis event as resolved (returns the user's phone number)
+ */
+export async function resolveCrisisEvent(eventId, details = {}) {
+  try {
+    const result = await pgPool.query(
+      `UPDATE crisis_events
+       SET resolved = true, metadata = metadata || $2::jsonb
+       WHERE id = $1
+       RETURNING phone_number`,
+      [eventId, JSON.stringify(details)]
+    );
+
+    return result.rows[0]?.phone_number || null;
+  } catch (error) {
+    logger.error('Failed to resolve crisis event', { error: error.message, eventId });
+    return null;
+  }
+}
+
+/**
+ * Get crisis events that were escalated and not yet resolved (to pick escalations back up after a restart)
+ */
+export async function getOpenEscalatedEvents() {
+  try {
+    const result = await pgPool.query(
+      `SELECT id, phone_number, risk_level, risk_categories, metadata
+       FROM crisis_events
+       WHERE escalated = true AND resolved = false
+       ORDER BY timestamp ASC`
+    );
+
+    return result.rows;
+  } catch (error) {
+    logger.error('Failed to get open escalations', { error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Claim an incoming MessageSid: true the first time, false for a repeat delivery
+ * (Redis with a TTL, then the database, then this process's memory)
+ */
+export async function claimMessageSid(messageSid) {
+  try {
+    // isReady, not isOpen: commands queue while Redis reconnects, and Twilio is waiting on this answer
+    if (redisClient && redisClient.isReady) {
+      const claimed = await redisClient.set(`processed:${messageSid}`, '1', { NX: true, EX: DEDUPE_TTL_SECONDS });
+      return claimed === 'OK';
+    }
+  } catch (error) {
+    logger.error('Failed to claim message in Redis', { error: error.message, messageSid });
+  }
+
+  try {
+    const result = await pgPool.query(
+      `INSERT INTO processed_messages (message_sid) VALUES ($1)
+       ON CONFLICT (message_sid) DO NOTHING
+       RETURNING message_sid`,
+      [messageSid]
+    );
+
+    // Forget old ones while we're here
+    await pgPool.query(
+      `DELETE FROM processed_messages WHERE received_at < NOW() - make_interval(secs => $1)`,
+      [DEDUPE_TTL_SECONDS]
+    );
+
+    return result.rows.length > 0;
+  } catch (error) {
+    logger.error('Failed to claim message in database', { error: error.message, messageSid });
+  }
+
+  const now = Date.now();
+
+  for (const [sid, expiresAt] of recentMessageSids) {
+    if (expiresAt <= now) {
+      recentMessageSids.delete(sid);
+    }
+  }
+
+  if (recentMessageSids.has(messageSid)) {
+    return false;
+  }
+
+  recentMessageSids.set(messageSid, now + DEDUPE_TTL_SECONDS * 1000);
+  return true;
+}
+
 /**
  * Get user's session data from Redis
  */
@@ -251,6 +494,56 @@ export async function updateSession(phoneNumber, sessionData, expirySeconds = 36
   }
 }
 
+/**
+ * Remember that a user is in crisis follow-up mode (so follow-ups can be rescheduled after a restart)
+ */
+export async function trackCrisisFollowUp(phoneNumber) {
+  try {
+    if (!redisClient || !redisClient.isOpen) {
+      return false;
+    }
+
+    await redisClient.sAdd('crisis_follow_ups', phoneNumber);
+    return true;
+  } catch (error) {
+    logger.error('Failed to track crisis follow-up', { error: error.message, phoneNumber: phoneNumber.slice(-4) });
+    return false;
+  }
+}
+
+/**
+ * Forget that a user is in crisis follow-up mode
+ */
+export async function untrackCrisisFollowUp(phoneNumber) {
+  try {
+    if (!redisClient || !redisClient.isOpen) {
+      return false;
+    }
+
+    await redisClient.sRem('crisis_follow_ups', phoneNumber);
+    return true;
+  } catch (error) {
+    logger.error('Failed to untrack crisis follow-up', { error: error.message, phoneNumber: phoneNumber.slice(-4) });
+    return false;
+  }
+}
+
+/**
+ * Get users in crisis follow-up mode
+ */
+export async function getCrisisFollowUpUsers() {
+  try {
+    if (!redisClient || !redisClient.isOpen) {
+      return [];
+    }
+
+    return await redisClient.sMembers('crisis_follow_ups');
+  } catch (error) {
+    logger.error('Failed to get crisis follow-up users', { error: error.message });
+    return [];
+  }
+}
+
 /**
  * Store conversation context in Redis for AI
  */
@@ -314,6 +607,26 @@ export async function getUserProfile(phoneNumber) {
   }
 }
 
+/**
+ * Merge top-level keys into a user's metadata (creates the user if needed)
+ */
+export async function updateUserMetadata(phoneNumber, metadata) {
+  try {
+    await pgPool.query(
+      `INSERT INTO users (phone_number, metadata)
+       VALUES ($1, $2::jsonb)
+       ON CONFLICT (phone_number)
+       DO UPDATE SET metadata = users.metadata || EXCLUDED.metadata`,
+      [phoneNumber, JSON.stringify(metadata)]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error('Failed to update user metadata', { error: error.message, phoneNumber });
+    return false;
+  }
+}
+
 /**
  * Record check-in sent
  */
@@ -378,6 +691,84 @@ export async function getUsersForCheckIn(hoursSinceLastInteraction = 24) {
   }
 }
 
+/**
+ * Record one model call's token usage and cost
+ */
+export async function recordLLMUsage({ phoneNumber = null, purpose, model, inputTokens, outputTokens, cost }) {
+  try {
+    await pgPool.query(
+      `INSERT INTO llm_usage (phone_number, purpose, model, input_tokens, output_tokens, cost_usd)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [phoneNumber, purpose, model, inputTokens, outputTokens, cost]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error('Failed to record LLM usage', { error: error.message, phoneNumber });
+    return false;
+  }
+}
+
+/**
+ * Get today's usage totals for a user, or for the whole deployment (null if unavailable)
+ */
+export async function getTodayUsage(phoneNumber = null) {
+  try {
+    const result = await pgPool.query(
+      `SELECT COUNT(*)::int AS calls,
+              COALESCE(SUM(input_tokens), 0)::int AS input_tokens,
+              COALESCE(SUM(output_tokens), 0)::int AS output_tokens,
+              COALESCE(SUM(cost_usd), 0)::float AS cost
+       FROM llm_usage
+       WHERE created_at >= CURRENT_DATE
+       AND ($1::varchar IS NULL OR phone_number = $1)`,
+      [phoneNumber]
+    );
+
+    const row = result.rows[0];
+    return { calls: row.calls, inputTokens: row.input_tokens, outputTokens: row.output_tokens, cost: row.cost };
+  } catch (error) {
+    logger.error('Failed to get usage totals', { error: error.message, phoneNumber });
+    return null;
+  }
+}
+
+/**
+ * Get daily usage for the last few days, per purpose, plus the top users by spend
+ */
+export async function getUsageTrend(days = 14) {
+  try {
+    const daily = await pgPool.query(
+      `SELECT created_at::date AS day, purpose,
+              COUNT(*)::int AS calls,
+              COUNT(DISTINCT phone_number)::int AS users,
+              SUM(input_tokens)::int AS input_tokens,
+              SUM(output_tokens)::int AS output_tokens,
+              SUM(cost_usd)::float AS cost
+       FROM llm_usage
+       WHERE created_at >= CURRENT_DATE - $1::int
+       GROUP BY 1, 2
+       ORDER BY 1, 2`,
+      [days - 1]
+    );
+
+    const topUsers = await pgPool.query(
+      `SELECT phone_number, COUNT(*)::int AS calls, SUM(cost_usd)::float AS cost
+       FROM llm_usage
+       WHERE created_at >= CURRENT_DATE - $1::int AND phone_number IS NOT NULL
+       GROUP BY 1
+       ORDER BY 3 DESC
+       LIMIT 10`,
+      [days - 1]
+    );
+
+    return { daily: daily.rows, topUsers: topUsers.rows };
+  } catch (error) {
+    logger.error('Failed to get usage trend', { error: error.message });
+    return null;
+  }
+}
+
 /**
  * Cleanup and close connections
  */
@@ -407,14 +798,28 @@ export default {
   initializeDatabase,
   storeMessage,
   getConversationHistory,
+  updateDeliveryStatus,
+  recordDeliveryAttempt,
+  claimMessageSid,
   storeCrisisEvent,
+  markCrisisEventEscalated,
+  updateCrisisEventMetadata,
+  resolveCrisisEvent,
+  getOpenEscalatedEvents,
   getSession,
   updateSession,
+  trackCrisisFollowUp,
+  untrackCrisisFollowUp,
+  getCrisisFollowUpUsers,
   storeContext,
   getContext,
   getUserProfile,
+  updateUserMetadata,
   recordCheckIn,
   recordCheckInResponse,
   getUsersForCheckIn,
+  recordLLMUsage,
+  getTodayUsage,
+  getUsageTrend,
   cleanup,
 };
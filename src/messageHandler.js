@@ -1,16 +1,33 @@
-import { sendSMS } from './twilio.js';
-import { checkCrisis } from './safetyClassifier.js';
-import { generateAIResponse } from './aiEngine.js';
-import { getContext, saveContext } from './sessionManager.js';
-import { checkRateLimit } from './rateLimiter.js';
-import { logger } from './logger.js';
+// Message Handler - Route incoming messages through safety, commands and AI
+import twilio from './twilio.js';
+import channels from './channels.js';
+import safety from './safety.js';
+import aiEngine from './aiEngine.js';
+import commands from './commands.js';
+import sessionManager from './sessionManager.js';
+import memory from './memory.js';
+import escalation from './escalation.js';
+import safetyPlan from './safetyPlan.js';
+import guidedExercise from './guidedExercise.js';
+import userSettings from './userSettings.js';
+import crisisFollowUp from './crisisFollowUp.js';
+import riskTrajectory from './riskTrajectory.js';
+import crisisResources from './crisisResources.js';
+import conversationSummary from './conversationSummary.js';
+import messageInsights from './messageInsights.js';
+import mediaHandler from './mediaHandler.js';
+import deliveryTracker from './deliveryTracker.js';
+import logger from './logger.js';
 
-const CRISIS_MESSAGE = `I'm really glad you reached out. I'm not able to help with situations of self-harm or danger, but you're not alone. You can contact the 988 Lifeline or text 'HOME' to 741741 to talk to someone right now. If you can, please reach out to a trusted adult near you.`;
-
-export async function handleIncomingMessage(phoneNumber, messageBody, messageId) {
+/**
+ * Handle an incoming message from a user on any channel
+ * (phoneNumber is the user id: a phone number for SMS, "whatsapp:+..." or "web:..." otherwise)
+ * media: attachments from MMS or WhatsApp, [{ url, contentType }]
+ */
+export async function handleIncomingMessage(phoneNumber, messageBody, messageId, media = []) {
   try {
-    // Input validation
-    if (!messageBody || messageBody.trim().length === 0) {
+    // Input validation (a photo or voice note with no text is still a message)
+    if ((!messageBody || messageBody.trim().length === 0) && media.length === 0) {
       logger.warn('Empty message received', { messageId });
       return;
     }
@@ -20,82 +37,253 @@ export async function handleIncomingMessage(phoneNumber, messageBody, messageId)
       return;
     }
 
-    // Rate limiting check
-    const rateLimitResult = await checkRateLimit(phoneNumber);
-    if (!rateLimitResult.allowed) {
-      await sendSMS(
-        phoneNumber, 
-        "You've reached the message limit for now. Please try again later or call 988 if you need immediate support."
-      );
-      logger.warn('Rate limit exceeded', { 
-        phoneNumber: phoneNumber.slice(-4),
-        limit: rateLimitResult.limit 
-      });
+    // Voice notes are transcribed and handled like text from here on
+    let mediaMetadata = null;
+
+    if (media.length > 0) {
+      const processed = await mediaHandler.processMedia(phoneNumber, messageBody, media);
+
+      // Nothing to read (a photo, or a voice note we couldn't hear): reply without the AI
+      if (processed.reply) {
+        await memory.storeMessage(phoneNumber, processed.placeholder, 'incoming', 'none', [], { media: processed.media });
+        const delivery = await channels.sendMessage(phoneNumber, processed.reply);
+        await memory.storeMessage(phoneNumber, processed.reply, 'outgoing', 'none', [], {}, delivery.messageSids);
+        return;
+      }
+
+      messageBody = processed.text;
+      mediaMetadata = processed.media;
+    }
+
+    // On-call responders acknowledge escalations over SMS
+    const responderReply = await escalation.handleResponderMessage(phoneNumber, messageBody);
+    if (responderReply) {
+      await twilio.sendSMS(phoneNumber, responderReply);
       return;
     }
 
-    // Safety check - HIGHEST PRIORITY
-    const crisisDetected = await checkCrisis(messageBody);
-    
-    if (crisisDetected.isCrisis) {
+    logger.logConversation(phoneNumber, messageBody, true);
+
+    // Safety check - HIGHEST PRIORITY. Mood and topic are labelled alongside it (commands aren't labelled)
+    const [crisisAssessment, insights] = await Promise.all([
+      safety.checkCrisis(messageBody, phoneNumber),
+      commands.isCommand(messageBody) ? null : messageInsights.extractInsights(messageBody, phoneNumber),
+    ]);
+    let assessment = crisisAssessment;
+
+    // Risk can build across several messages that are each below the threshold
+    const trajectory = await riskTrajectory.assessTrajectory(phoneNumber, messageBody, assessment);
+    const { flags } = await sessionManager.getSession(phoneNumber);
+    assessment = riskTrajectory.applyTrajectory(assessment, trajectory, { inCrisis: flags.inCrisis });
+
+    // Stored with the message's own level: the trajectory is rescored from these
+    await memory.storeMessage(
+      phoneNumber,
+      messageBody,
+      'incoming',
+      crisisAssessment.level,
+      crisisAssessment.categories,
+      {
+        ...(insights ? { insights } : {}),
+        ...(mediaMetadata ? { media: mediaMetadata } : {}),
+      }
+    );
+
+    // Mood and topic steer the AI's context
+    if (insights && insights.confidence >= messageInsights.MIN_CONFIDENCE) {
+      await sessionManager.setTopic(phoneNumber, insights.topics[0]);
+      await sessionManager.updateMood(phoneNumber, insights.mood, insights.intensity);
+    }
+
+    if (assessment.isCrisis) {
+      logger.logCrisis(phoneNumber, assessment);
       logger.error('CRISIS DETECTED', {
         phoneNumber: phoneNumber.slice(-4),
         messageId,
-        reason: crisisDetected.reason,
-        keyword: crisisDetected.keyword || 'N/A',
+        reason: assessment.reason,
+        level: assessment.level,
+        trajectoryScore: assessment.trajectory?.score,
+        categories: assessment.categories,
         timestamp: new Date().toISOString()
       });
-      
-      await sendSMS(phoneNumber, CRISIS_MESSAGE);
-      
-      // Save crisis event (for audit)
-      await saveContext(phoneNumber, {
-        user: messageBody,
-        assistant: CRISIS_MESSAGE,
-        timestamp: Date.now(),
-        crisis: true
-      });
-      
+
+      // No more breathing cues in the middle of a crisis
+      await guidedExercise.cancelExercise(phoneNumber);
+
+      const crisisResponse = safety.generateCrisisResponse(assessment);
+
+      const delivery = await channels.sendMessage(phoneNumber, crisisResponse);
+
+      // Stored right away so its delivery status callbacks find it (undelivered ones are resent)
+      const crisisMetadata = { crisis: true, channel: delivery.channel };
+      const storedId = await memory.storeMessage(
+        phoneNumber,
+        crisisResponse,
+        'outgoing',
+        assessment.level,
+        assessment.categories,
+        crisisMetadata,
+        delivery.messageSids
+      );
+
+      // No callback is coming for a send Twilio refused outright: resend it (then alert) from here
+      if (!delivery.success) {
+        await deliveryTracker.handleCrisisDeliveryFailure(
+          { id: storedId, phone_number: phoneNumber, message: crisisResponse, delivery_attempts: 1, metadata: crisisMetadata },
+          null
+        );
+      }
+
+      // Remind them of the plan they made for moments like this
+      const plan = await safetyPlan.getSafetyPlan(phoneNumber);
+      if (plan) {
+        await channels.sendMessage(phoneNumber, safetyPlan.formatSafetyPlan(plan, phoneNumber));
+      }
+
+      // Save crisis event (for audit) and bring in a human
+      const eventId = await memory.storeCrisisEvent(phoneNumber, assessment, messageBody.substring(0, 100));
+
+      if (safety.requiresHumanEscalation(assessment)) {
+        await escalation.escalate(eventId, phoneNumber, assessment);
+      }
+
+      await sessionManager.updateContext(phoneNumber, messageBody, crisisResponse, assessment);
+      await crisisFollowUp.enterCrisisMode(phoneNumber, assessment);
+
       return;
     }
 
+    // Track recovery while in crisis follow-up mode
+    await crisisFollowUp.recordReply(phoneNumber, assessment);
+
+    // Commands
+    if (commands.isCommand(messageBody)) {
+      const commandResponse = await commands.handleCommand(messageBody, phoneNumber);
+      const delivery = await channels.sendLongMessage(phoneNumber, commandResponse);
+      await memory.storeMessage(phoneNumber, commandResponse, 'outgoing', 'none', [], {}, delivery.messageSids);
+      return;
+    }
+
+    // Multi-message flows in progress
+    const session = await sessionManager.getSession(phoneNumber);
+
+    if (session.activeFlow?.type === safetyPlan.FLOW_TYPE) {
+      const flowResponse = await safetyPlan.handleSafetyPlanResponse(phoneNumber, messageBody);
+      const delivery = await channels.sendLongMessage(phoneNumber, flowResponse);
+      await memory.storeMessage(phoneNumber, flowResponse, 'outgoing', 'none', [], {}, delivery.messageSids);
+      return;
+    }
+
+    // A null reply means they're talking rather than doing the exercise or settings; the AI answers
+    const flowHandlers = {
+      [guidedExercise.FLOW_TYPE]: guidedExercise.handleExerciseResponse,
+      [userSettings.FLOW_TYPE]: userSettings.handleSettingsResponse,
+    };
+
+    if (flowHandlers[session.activeFlow?.type]) {
+      const flowResponse = await flowHandlers[session.activeFlow.type](phoneNumber, messageBody);
+
+      if (flowResponse) {
+        const delivery = await channels.sendLongMessage(phoneNumber, flowResponse);
+        await memory.storeMessage(phoneNumber, flowResponse, 'outgoing', 'none', [], {}, delivery.messageSids);
+        return;
+      }
+    }
+
+    // A returning user's session has expired: fold what they said before
+    // (anything besides this message) into their memory. This reply uses the
+    // summary they already have; the model call isn't worth the wait.
+    if (session.isFirstTime) {
+      conversationSummary.refreshSummary(phoneNumber, { minMessages: 2 })
+        .catch(err => logger.error('Summary refresh error', { error: err.message, phoneNumber: phoneNumber.slice(-4) }));
+    }
+
     // Load conversation context
-    const context = await getContext(phoneNumber);
-    
+    const context = await sessionManager.getContextForAI(phoneNumber);
+
     // Generate AI response
-    const aiResponse = await generateAIResponse(messageBody, context);
-    
+    const aiResult = await aiEngine.generateResponse(messageBody, phoneNumber, context);
+    let response = aiResult.message;
+
+    // Concerning but not critical: keep talking, make sure help is visible
+    // and queue the exchange for staff review
+    if (safety.requiresReview(assessment)) {
+      response += `\n\n` + assessment.resources
+        .map(resource => `${resource.name}: ${resource.contact}`)
+        .join('\n');
+
+      await memory.storeCrisisEvent(phoneNumber, assessment, messageBody.substring(0, 100));
+    }
+
     // Save to context
-    await saveContext(phoneNumber, {
-      user: messageBody,
-      assistant: aiResponse,
-      timestamp: Date.now()
-    });
-    
-    // Send response
-    await sendSMS(phoneNumber, aiResponse);
-    
+    await sessionManager.updateContext(phoneNumber, messageBody, response, assessment);
+
+    // Send response on their channel (SMS splits long replies into numbered parts)
+    const delivery = await channels.sendLongMessage(phoneNumber, response);
+    // Which prompt wrote the reply (none for fallbacks) and what the output guard rejected, for review
+    await memory.storeMessage(phoneNumber, response, 'outgoing', assessment.level, assessment.categories, {
+      promptVersion: aiResult.promptVersion || null,
+      ...(aiResult.guard?.violations.length ? { guard: aiResult.guard } : {}),
+      channel: delivery.channel,
+      ...(delivery.channel === 'sms'
+        ? { sms: { parts: delivery.parts, segments: delivery.segments, encoding: delivery.encoding, cost: delivery.cost } }
+        : {}),
+      ...(aiResult.usage ? { usage: { ...aiResult.usage, model: aiResult.model, budget: aiResult.budget } } : {}),
+    }, delivery.messageSids);
+
+    // Condense older exchanges into long-term memory every so often
+    await conversationSummary.refreshSummary(phoneNumber);
+
     logger.info('Message processed successfully', {
       messageId,
-      responseLength: aiResponse.length,
-      contextSize: context.length
+      channel: delivery.channel,
+      riskLevel: assessment.level,
+      promptVersion: aiResult.promptVersion,
+      responseLength: response.length,
+      segments: delivery.segments,
+      smsCost: delivery.cost,
+      contextSize: context.recentMessages?.length || 0
     });
-    
+
   } catch (error) {
     logger.error('Message handler error', {
       error: error.message,
       stack: error.stack,
       messageId
     });
-    
+
     // Fallback response
     try {
-      await sendSMS(
+      const hotlines = crisisResources.getHotlineSummary(crisisResources.getCountryForPhoneNumber(phoneNumber));
+      await channels.sendMessage(
         phoneNumber,
-        "I'm having trouble right now. If you need immediate support, please call 988."
+        `I'm having trouble right now. If you need immediate support, please ${hotlines}.`
       );
     } catch (sendError) {
       logger.error('Failed to send error message', { error: sendError.message });
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Send a wellness check-in to a user
+ */
+export async function sendCheckIn(phoneNumber, userProfile) {
+  const message = aiEngine.generateCheckInMessage(userProfile);
+  // Outside WhatsApp's 24-hour window only the approved check-in template can be sent
+  const result = await channels.sendMessage(phoneNumber, message, { template: 'check_in' });
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  await memory.recordCheckIn(phoneNumber);
+  await memory.storeMessage(phoneNumber, message, 'outgoing', 'none', [], {}, result.messageSids);
+
+  return result;
+}
+
+export default {
+  handleIncomingMessage,
+  sendCheckIn,
+};
@@ -0,0 +1,179 @@
+// Output Guard Module - Policy checks on AI replies, regeneration with feedback, vetted fallbacks
+import dotenv from 'dotenv';
+import crisisResources from './crisisResources.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+// Longest reply we send as-is (about three SMS segments)
+export const MAX_REPLY_LENGTH = parseInt(process.env.OUTPUT_GUARD_MAX_LENGTH || '480');
+
+// Regenerations after the first draft before using a template
+const MAX_RETRIES = parseInt(process.env.OUTPUT_GUARD_MAX_RETRIES || '2');
+
+const CONDITIONS = '(clinical |major |severe )?(depression|bipolar|adhd|ocd|ptsd|bpd|autism|schizophrenia|' +
+  'insomnia|an? (anxiety|panic|eating|personality|mood|mental|sleep) disorder|anorexia|bulimia)';
+
+// What an AI reply must never do; feedback is what the model is told on a retry
+export const OUTPUT_POLICY = [
+  {
+    rule: 'diagnosis',
+    feedback: `Don't diagnose or name a condition the user might have. Reflect what they're feeling instead.`,
+    patterns: [
+      new RegExp(`\\b(you|u) (have|might have|may have|probably have|likely have|clearly have|could have|` +
+        `are suffering from|sound like you have|definitely have) ${CONDITIONS}\\b`, 'i'),
+      new RegExp(`\\b(sounds|seems|looks) like ${CONDITIONS}\\b`, 'i'),
+      /\bi (diagnose|would diagnose)\b/i,
+      /\byour diagnosis is\b/i,
+    ],
+  },
+  {
+    rule: 'medication',
+    feedback: `Don't give advice about medication, doses or pills. Suggest talking to a doctor or trusted adult about it.`,
+    patterns: [
+      /\b(take|try|start|stop|skip|increase|double|lower|quit) (taking )?(your |some |a few )?(meds|medication|medicine|pills|antidepressants?|ssris?|sleeping pills|melatonin|ibuprofen|xanax|zoloft|prozac|lexapro|adderall)\b/i,
+      /\b\d+ ?(mg|milligrams?)\b/i,
+      /\bmedical advice\b/i,
+    ],
+  },
+  {
+    rule: 'confidentiality',
+    feedback: `Don't promise secrecy or confidentiality. If safety comes up, it may need to be shared with people who can help.`,
+    patterns: [
+      /\b(this|everything|it|what you say) (stays|will stay) between (us|you and me)\b/i,
+      /\bi (won'?t|will not|wont) tell (anyone|anybody|your parents)\b/i,
+      /\b(promise|swear) (to keep|i'?ll keep|i will keep) (it|this|that|your secret)\b/i,
+      /\b(completely|totally|100%) (confidential|private|secret)\b/i,
+      /\bno one (else )?will (ever )?(know|find out)\b/i,
+    ],
+  },
+  {
+    rule: 'dependence',
+    feedback: `Don't encourage relying only on you. Point them toward trusted people in their life as well.`,
+    patterns: [
+      /\b(i'?m|i am) (all|the only one|the only person) you (need|can trust|can talk to)\b/i,
+      /\byou (don'?t|do not) need (anyone|anybody|other people|your friends|a therapist)( else)?\b/i,
+      /\b(just|only) (talk to|trust|rely on) me\b/i,
+      /\b(i'?m|i am) the only one who (understands|gets|cares about) you\b/i,
+      /\b(no one|nobody) (else )?(understands|gets) you like i do\b/i,
+    ],
+  },
+  {
+    rule: 'length',
+    feedback: `Keep it to 1-3 short sentences, under ${MAX_REPLY_LENGTH} characters.`,
+    check: reply => reply.length > MAX_REPLY_LENGTH,
+  },
+  {
+    rule: 'empty',
+    feedback: `Reply with a short, warm message.`,
+    check: reply => reply.trim().length === 0,
+  },
+];
+
+/**
+ * Check a reply against the policy; returns [{ rule, match }] (empty if it passes)
+ */
+export function checkReply(reply) {
+  const text = reply || '';
+  const violations = [];
+
+  for (const policy of OUTPUT_POLICY) {
+    if (policy.check) {
+      if (policy.check(text)) {
+        violations.push({ rule: policy.rule, match: null });
+      }
+      continue;
+    }
+
+    for (const pattern of policy.patterns) {
+      const match = text.match(pattern);
+
+      if (match) {
+        violations.push({ rule: policy.rule, match: match[0] });
+        break;
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Build the note added to the system prompt when regenerating a rejected draft
+ */
+export function buildCorrectiveFeedback(draft, violations) {
+  const rules = [...new Set(violations.map(v => v.rule))];
+  const fixes = rules.map(rule => `- ${OUTPUT_POLICY.find(p => p.rule === rule).feedback}`);
+
+  return `\n\nREVISION: Your previous draft was not sent because it broke these rules:\n${fixes.join('\n')}\n` +
+    `Previous draft (do not repeat its problems): ${JSON.stringify(draft.substring(0, MAX_REPLY_LENGTH))}\n` +
+    `Write a new reply to the user's last message.`;
+}
+
+/**
+ * Get a vetted reply for when no draft passes the policy
+ */
+export function getFallbackTemplate(context = {}, phoneNumber = null) {
+  if (context.flags?.inCrisis) {
+    const hotlines = crisisResources.getHotlineSummary(crisisResources.getCountryForPhoneNumber(phoneNumber));
+    return `I'm still here with you. How are you doing right now? If things feel like too much, please ${hotlines}.`;
+  }
+
+  return `I'm here and I'm listening. What feels most important to talk about right now?`;
+}
+
+/**
+ * Generate a reply that passes the policy, retrying with feedback, else the fallback
+ * generate(feedback) returns { text, usage, cost }; feedback is null on the first attempt
+ * Returns { text, attempts, violations: [{ rule, attempt }], usedFallback, usage }
+ */
+export async function guardReply(generate, { path, phoneNumber = null, fallback, maxRetries = MAX_RETRIES } = {}) {
+  const violations = [];
+  const usage = { inputTokens: 0, outputTokens: 0, cost: 0 };
+  let feedback = null;
+
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    const draft = await generate(feedback);
+    const text = (draft.text || '').trim();
+
+    usage.inputTokens += draft.usage?.inputTokens || 0;
+    usage.outputTokens += draft.usage?.outputTokens || 0;
+    usage.cost += draft.cost || 0;
+
+    const found = checkReply(text);
+
+    if (found.length === 0) {
+      return { text, attempts: attempt, violations, usedFallback: false, usage };
+    }
+
+    for (const violation of found) {
+      violations.push({ rule: violation.rule, attempt });
+      logger.logOutputViolation(phoneNumber, { path, attempt, ...violation });
+    }
+
+    feedback = buildCorrectiveFeedback(text, found);
+  }
+
+  logger.warn('Output guard used fallback template', {
+    path,
+    phoneNumber: phoneNumber ? phoneNumber.slice(-4) : null,
+    rules: [...new Set(violations.map(v => v.rule))],
+  });
+
+  return {
+    text: fallback ?? getFallbackTemplate(),
+    attempts: maxRetries + 1,
+    violations,
+    usedFallback: true,
+    usage,
+  };
+}
+
+export default {
+  MAX_REPLY_LENGTH,
+  OUTPUT_POLICY,
+  checkReply,
+  buildCorrectiveFeedback,
+  getFallbackTemplate,
+  guardReply,
+};
@@ -0,0 +1,241 @@
+// Prompt Registry - Named, versioned system prompts and per-user A/B assignment
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import logger from './logger.js';
+
+dotenv.config();
+
+// Prompts by name, then version; a published version is never edited, add a new one instead.
+// {{hotlines}} is filled in per user when the prompt is built (see fillPrompt)
+export const PROMPTS = {
+  support: {
+    1: `You are a compassionate mental health support chatbot designed specifically for teenagers. Your role is to provide empathetic, supportive, and age-appropriate guidance.
+
+CORE PRINCIPLES:
+1. Be warm, empathetic, and non-judgmental
+2. Use teen-friendly language (avoid clinical jargon)
+3. Validate their feelings and experiences
+4. Never diagnose or prescribe medication
+5. Always prioritize safety
+6. Encourage professional help when appropriate
+7. Respect confidentiality while maintaining safety protocols
+
+COMMUNICATION STYLE:
+- Keep responses concise (SMS-friendly, 2-4 sentences usually)
+- Use a friendly, supportive tone
+- Ask open-ended questions to encourage sharing
+- Reflect their emotions back to show understanding
+- Avoid sounding preachy or lecturing
+- Use "I" statements ("I hear that..." rather than "You should...")
+
+SAFETY PROTOCOLS:
+- If someone expresses suicidal thoughts, self-harm, or abuse, prioritize their immediate safety
+- Provide crisis resources when needed ({{hotlines}})
+- Encourage them to talk to trusted adults
+- Never dismiss or minimize serious concerns
+- Document high-risk interactions for professional review
+
+BOUNDARIES:
+- You are a support tool, not a replacement for therapy
+- Encourage professional help for ongoing concerns
+- Don't provide medical advice
+- Don't make promises you can't keep
+- Respect if they don't want to share something
+
+TOPICS YOU HELP WITH:
+- Stress and anxiety
+- Depression and sadness
+- Friendship and relationship issues
+- Family conflicts
+- School pressure and academic stress
+- Self-esteem and identity
+- LGBTQ+ concerns
+- Bullying
+- Loneliness and isolation
+- General emotional support
+
+Remember: You're here to listen, support, and guide them toward appropriate resources. Every conversation matters.`,
+  },
+  calmtext: {
+    1: `You are CalmText, a warm, supportive mental-health companion designed for teens. You communicate only through short, SMS-friendly messages. You are not a therapist and must never offer medical, diagnostic, or clinical advice. Your job is to help the user feel heard, understood, and calmer through empathy, reflective listening, grounding exercises, and gentle guidance.
+
+1. Tone + Personality Rules
+You must always:
+• Be calm, caring, and non-judgmental.
+• Keep replies concise (1–3 sentences max).
+• Use natural human language, not formal or robotic.
+• Validate feelings before giving suggestions.
+• Avoid clichés or quotes.
+• Never guilt, pressure, or dismiss the user.
+• Never talk about yourself unless explaining how the bot works.
+
+2. Non-Crisis Emotional Support Rules
+Follow this sequence:
+Step 1 — Emotion Recognition: Identify the user's main emotion.
+Step 2 — Validation: "[Emotion] makes sense because [reason]."
+Step 3 — Gentle Reflection or Question: "What part feels the hardest right now?" or "Do you want to talk through what happened?"
+Step 4 — Optional Coping Tool (only if user is open): "Would you like a quick grounding exercise or want to keep talking?"
+
+3. Allowed Coping Tools
+Use only:
+• Grounding: 5-4-3-2-1 senses, 10-second breathing, Name 3 things around you
+• Emotional Labeling: Help them name feelings
+• Cognitive Softening: "It makes sense you see it that way — here's another gentle angle…"
+• Micro-Reflection: "What's one thing you wish someone understood about this?"
+• Practical Comfort: Take a sip of water, stretch, breathe
+
+4. Forbidden Content
+DO NOT:
+• Act like a therapist
+• Give medical/legal advice
+• Tell users what decision to make
+• Promise confidentiality
+• Say "I know exactly how you feel"
+• Ask intense personal questions
+• Encourage dependence
+• Use paragraphs
+
+5. Response Format
+1–3 sentences. Warm. Human. No emojis unless user uses them first.`,
+  },
+};
+
+// Used when no experiment is configured (or its config is invalid)
+const DEFAULT_PROMPT = 'support@1';
+
+/**
+ * Split a prompt id ("name@version") into its parts
+ */
+function parsePromptId(id) {
+  const [name, version] = String(id).trim().split('@');
+  return { name, version: parseInt(version) };
+}
+
+/**
+ * Get a prompt ({ id, name, version, text }); without a version, the latest one
+ */
+export function getPrompt(name, version = null) {
+  const versions = PROMPTS[name];
+
+  if (!versions) {
+    throw new Error(`Unknown prompt "${name}"`);
+  }
+
+  const resolved = version ?? Math.max(...Object.keys(versions).map(Number));
+
+  if (!versions[resolved]) {
+    throw new Error(`Unknown version ${resolved} of prompt "${name}"`);
+  }
+
+  return { id: `${name}@${resolved}`, name, version: resolved, text: versions[resolved] };
+}
+
+/**
+ * Get a prompt by id ("name@version")
+ */
+export function getPromptById(id) {
+  const { name, version } = parsePromptId(id);
+  return getPrompt(name, Number.isNaN(version) ? null : version);
+}
+
+/**
+ * Fill a prompt's {{placeholders}} from values (unknown ones are left as they are)
+ */
+export function fillPrompt(text, values = {}) {
+  return text.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => values[key] ?? placeholder);
+}
+
+/**
+ * Add a prompt version (published versions can't be replaced)
+ */
+export function registerPrompt(name, version, text) {
+  PROMPTS[name] = PROMPTS[name] || {};
+
+  if (PROMPTS[name][version]) {
+    throw new Error(`Prompt ${name}@${version} already exists`);
+  }
+
+  PROMPTS[name][version] = text;
+}
+
+/**
+ * Parse experiment variants ("support@1:50,calmtext@1:50"); weights default to 1
+ */
+export function parseVariants(config) {
+  const variants = String(config || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [id, weight] = entry.split(':');
+      return { promptId: getPromptById(id).id, weight: weight === undefined ? 1 : parseFloat(weight) };
+    });
+
+  if (variants.length === 0 || variants.some(v => !(v.weight >= 0)) || variants.every(v => v.weight === 0)) {
+    throw new Error('An experiment needs at least one variant with a positive weight');
+  }
+
+  return variants;
+}
+
+/**
+ * Load the system prompt experiment from PROMPT_EXPERIMENT
+ */
+function loadVariants() {
+  try {
+    return parseVariants(process.env.PROMPT_EXPERIMENT || DEFAULT_PROMPT);
+  } catch (error) {
+    logger.error('Invalid PROMPT_EXPERIMENT, using the default prompt', { error: error.message });
+    return parseVariants(DEFAULT_PROMPT);
+  }
+}
+
+let systemPromptVariants = loadVariants();
+
+/**
+ * Replace the system prompt experiment (variants as for parseVariants, or null to reload config)
+ */
+export function setExperiment(config) {
+  systemPromptVariants = config ? parseVariants(config) : loadVariants();
+}
+
+/**
+ * Pick a variant for a user; the same number always lands in the same bucket
+ */
+export function assignVariant(phoneNumber, variants, experiment = 'systemPrompt') {
+  const hash = crypto.createHash('sha256').update(`${experiment}:${phoneNumber}`).digest();
+  const bucket = hash.readUInt32BE(0) / 0x100000000;
+
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let cumulative = 0;
+
+  for (const variant of variants) {
+    cumulative += variant.weight / total;
+
+    if (bucket < cumulative) {
+      return variant;
+    }
+  }
+
+  // Rounding can leave the bucket just past the end
+  return variants.filter(variant => variant.weight > 0).pop();
+}
+
+/**
+ * Get the system prompt this user is assigned to
+ */
+export function getSystemPromptForUser(phoneNumber) {
+  return getPromptById(assignVariant(phoneNumber, systemPromptVariants).promptId);
+}
+
+export default {
+  PROMPTS,
+  getPrompt,
+  getPromptById,
+  fillPrompt,
+  registerPrompt,
+  parseVariants,
+  setExperiment,
+  assignVariant,
+  getSystemPromptForUser,
+};
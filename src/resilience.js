@@ -0,0 +1,274 @@
+// Resilience Module - Retries with jittered backoff, per-call timeouts and circuit breakers for model calls
+import dotenv from 'dotenv';
+import logger from './logger.js';
+
+dotenv.config();
+
+// Retries after the first attempt, and the backoff between them
+export const RETRY = {
+  maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '2'),
+  baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_MS || '250'),
+  maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_MS || '2000'),
+};
+
+// Per-attempt timeouts by purpose. Replies go out by SMS, so a slow answer is
+// worth less than a quick template; the crisis check must never hold up a reply for long.
+export const TIMEOUTS = {
+  chat: parseInt(process.env.LLM_TIMEOUT_MS || '8000'),
+  classifier: parseInt(process.env.LLM_SAFETY_TIMEOUT_MS || '5000'),
+  extraction: 4000,
+  summary: 20000,
+  transcription: parseInt(process.env.TRANSCRIBE_TIMEOUT_MS || '15000'),
+};
+
+// Consecutive failed calls (after retries) that open a circuit, and how long it stays open
+export const CIRCUIT = {
+  failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURES || '5'),
+  resetMs: parseInt(process.env.LLM_CIRCUIT_RESET_MS || '30000'),
+};
+
+// Statuses worth retrying: timeouts, conflicts, rate limits, overload and server errors
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+/**
+ * Build an error shaped like the SDK's ({ message, status, type })
+ */
+function createResilienceError(message, type, status) {
+  const error = new Error(message);
+  error.type = type;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check whether an error is transient (network errors and timeouts have no status)
+ */
+export function isRetryable(error) {
+  if (error?.type === 'circuit_open_error') return false;
+  if (!error?.status) return true;
+  return RETRYABLE_STATUSES.includes(error.status) || error.status >= 500;
+}
+
+/**
+ * Backoff before retry number `attempt` (1-based): full jitter up to an exponential cap,
+ * or the server's retry-after when it asks for longer
+ */
+export function getBackoffDelay(attempt, error = null, { baseDelayMs = RETRY.baseDelayMs, maxDelayMs = RETRY.maxDelayMs } = {}) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  const retryAfter = parseFloat(error?.headers?.['retry-after']) * 1000;
+
+  if (retryAfter > cap) {
+    return Math.min(retryAfter, maxDelayMs);
+  }
+
+  return Math.round(Math.random() * cap);
+}
+
+/**
+ * Circuit breaker: closed (calls go through), open (calls fail fast), half_open (one trial call)
+ */
+export function createCircuitBreaker(name, { failureThreshold = CIRCUIT.failureThreshold, resetMs = CIRCUIT.resetMs } = {}) {
+  const state = {
+    state: 'closed',
+    consecutiveFailures: 0,
+    openedAt: null,
+    trialInFlight: false,
+    lastError: null,
+    lastFailureAt: null,
+    trips: 0,
+  };
+
+  const open = () => {
+    state.state = 'open';
+    state.openedAt = Date.now();
+    state.trialInFlight = false;
+    state.trips++;
+
+    logger.error('Circuit breaker opened, using safe templates', {
+      circuit: name,
+      consecutiveFailures: state.consecutiveFailures,
+      lastError: state.lastError,
+      retryInMs: resetMs,
+    });
+  };
+
+  return {
+    name,
+
+    /**
+     * Check whether a call may go through (moves an open circuit to half_open once it has cooled down)
+     */
+    allowRequest() {
+      if (state.state === 'open' && Date.now() - state.openedAt >= resetMs) {
+        state.state = 'half_open';
+        logger.info('Circuit breaker half-open, trying one call', { circuit: name });
+      }
+
+      if (state.state === 'half_open') {
+        if (state.trialInFlight) return false;
+        state.trialInFlight = true;
+        return true;
+      }
+
+      return state.state === 'closed';
+    },
+
+    /**
+     * Check, without side effects, whether calls are currently being refused
+     */
+    isOpen() {
+      return state.state === 'open' && Date.now() - state.openedAt < resetMs;
+    },
+
+    recordSuccess() {
+      if (state.state !== 'closed') {
+        logger.info('Circuit breaker closed', { circuit: name, downForMs: Date.now() - state.openedAt });
+      }
+
+      state.state = 'closed';
+      state.consecutiveFailures = 0;
+      state.openedAt = null;
+      state.trialInFlight = false;
+    },
+
+    recordFailure(error) {
+      state.consecutiveFailures++;
+      state.lastError = error?.message || null;
+      state.lastFailureAt = new Date().toISOString();
+
+      if (state.state === 'half_open' || (state.state === 'closed' && state.consecutiveFailures >= failureThreshold)) {
+        open();
+      }
+    },
+
+    getState() {
+      return {
+        name,
+        state: this.isOpen() || state.state !== 'open' ? state.state : 'half_open',
+        consecutiveFailures: state.consecutiveFailures,
+        openedAt: state.openedAt ? new Date(state.openedAt).toISOString() : null,
+        lastError: state.lastError,
+        lastFailureAt: state.lastFailureAt,
+        trips: state.trips,
+      };
+    },
+  };
+}
+
+const breakers = new Map();
+
+/**
+ * Get (or create) the circuit breaker for a provider
+ */
+export function getBreaker(name, options = {}) {
+  if (!breakers.has(name)) {
+    breakers.set(name, createCircuitBreaker(name, options));
+  }
+
+  return breakers.get(name);
+}
+
+/**
+ * Get every breaker's state, for /health
+ */
+export function getCircuitStates() {
+  return Object.fromEntries([...breakers.values()].map(breaker => [breaker.name, breaker.getState()]));
+}
+
+/**
+ * Run one attempt with a timeout; call(signal) should stop its request when signal aborts
+ */
+async function withTimeout(call, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(createResilienceError(`Model call timed out after ${timeoutMs}ms`, 'timeout_error', null));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([call(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Call a model with retries, backoff, a timeout per attempt and the provider's circuit breaker
+ * Throws the last error (or a circuit_open_error without calling) when every attempt fails
+ */
+export async function callWithResilience(call, {
+  name = 'default',
+  purpose = 'chat',
+  maxRetries = RETRY.maxRetries,
+  timeoutMs = TIMEOUTS[purpose] || TIMEOUTS.chat,
+  backoff = {},
+} = {}) {
+  const breaker = getBreaker(name);
+
+  if (!breaker.allowRequest()) {
+    throw createResilienceError(`Circuit for ${name} is open`, 'circuit_open_error', 503);
+  }
+
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    try {
+      const result = await withTimeout(call, timeoutMs);
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      lastError = error;
+
+      if (!isRetryable(error) || attempt > maxRetries) {
+        break;
+      }
+
+      const delayMs = getBackoffDelay(attempt, error, backoff);
+      logger.warn('Model call failed, retrying', {
+        circuit: name,
+        purpose,
+        attempt,
+        status: error.status || null,
+        type: error.type || null,
+        error: error.message,
+        delayMs,
+      });
+
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+
+  // Bad requests are our bug, not an outage, so they don't count against the circuit
+  if (isRetryable(lastError)) {
+    breaker.recordFailure(lastError);
+  } else {
+    breaker.recordSuccess();
+  }
+
+  logger.error('Model call failed', {
+    circuit: name,
+    purpose,
+    status: lastError.status || null,
+    type: lastError.type || null,
+    error: lastError.message,
+    circuitState: breaker.getState().state,
+  });
+
+  throw lastError;
+}
+
+export default {
+  RETRY,
+  TIMEOUTS,
+  CIRCUIT,
+  isRetryable,
+  getBackoffDelay,
+  createCircuitBreaker,
+  getBreaker,
+  getCircuitStates,
+  callWithResilience,
+};
@@ -0,0 +1,217 @@
+// Risk Trajectory Module - Conversation-level risk that builds across messages
+import dotenv from 'dotenv';
+import { createMatcher, prepareMessage } from './crisisMatcher.js';
+import { analyzeMatch, DISMISS_THRESHOLD } from './crisisContext.js';
+import safety from './safety.js';
+import memory from './memory.js';
+import sessionManager from './sessionManager.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+// Minutes for a message's contribution to the trajectory to halve
+const HALF_LIFE_MINUTES = parseFloat(process.env.RISK_TRAJECTORY_HALF_LIFE_MINUTES || '180');
+
+// Older messages have decayed to almost nothing
+const HISTORY_HOURS = 24;
+const HISTORY_LIMIT = 20;
+
+// What a message's own assessed level adds to the trajectory
+const LEVEL_SCORES = {
+  none: 0,
+  low: 1,
+  medium: 2,
+  high: 4,
+  critical: 8,
+};
+
+// Warning signs that are weak alone but add up over a conversation
+export const WARNING_SIGNS = {
+  hopelessness: {
+    weight: 1,
+    phrases: [
+      'pointless', 'hopeless', 'nothing matters', 'no point', 'never get better',
+      'whats the point', 'nothing will change',
+    ],
+  },
+  burden: {
+    weight: 2,
+    phrases: [
+      'nobody would notice', 'no one would notice', 'nobody would care', 'no one would care',
+      'nobody would miss me', 'no one would miss me', 'better off without me', 'a burden',
+    ],
+  },
+  isolation: {
+    weight: 1,
+    phrases: ['nobody cares', 'no one cares', 'all alone', 'completely alone', 'no one to talk to'],
+  },
+  goodbye: {
+    weight: 3,
+    phrases: [
+      'this is goodbye', 'goodbye forever', 'saying goodbye', 'giving away my', 'gave away my',
+      'wont be around', 'wont be here', 'take care of my', 'last time youll hear',
+    ],
+  },
+  planning: {
+    weight: 4,
+    phrases: [
+      'i have a plan', 'made a plan', 'figured out how', 'know how i would', 'picked a date',
+      'wrote a letter', 'decided how',
+    ],
+  },
+  means: {
+    weight: 4,
+    phrases: [
+      'have pills', 'saved up pills', 'been saving pills', 'got a rope', 'bought a rope',
+      'found a gun', 'dads gun', 'have a gun',
+    ],
+  },
+};
+
+// Trajectory scores that raise the conversation's risk level, most severe first
+export const TRAJECTORY_THRESHOLDS = [
+  { level: 'critical', score: 12 },
+  { level: 'high', score: 7 },
+  { level: 'medium', score: 3.5 },
+];
+
+const WARNING_SIGN_MATCHER = createMatcher(
+  Object.entries(WARNING_SIGNS).flatMap(([sign, { phrases }]) =>
+    phrases.map(phrase => ({ phrase, sign, category: 'suicide' }))
+  )
+);
+
+/**
+ * Get the warning signs present in a message (negated or benign mentions don't count)
+ */
+export function getWarningSigns(message) {
+  const prepared = prepareMessage(message);
+
+  const signs = WARNING_SIGN_MATCHER.match(prepared)
+    .filter(match => analyzeMatch(prepared, match).confidence >= DISMISS_THRESHOLD)
+    .map(({ sign }) => sign);
+
+  return [...new Set(signs)];
+}
+
+/**
+ * Score a conversation ([{ text, level, at }]) with older messages decayed
+ * Returns { score, level, signals: [{ signal, score, messages }], messageCount }
+ */
+export function scoreTrajectory(messages, now = Date.now()) {
+  const signals = {};
+
+  const add = (signal, score) => {
+    signals[signal] = signals[signal] || { signal, score: 0, messages: 0 };
+    signals[signal].score += score;
+    signals[signal].messages += 1;
+  };
+
+  for (const { text, level, at } of messages) {
+    const ageMinutes = Math.max(now - new Date(at).getTime(), 0) / (60 * 1000);
+    const decay = Math.pow(0.5, ageMinutes / HALF_LIFE_MINUTES);
+
+    if (LEVEL_SCORES[level]) {
+      add(`level:${level}`, LEVEL_SCORES[level] * decay);
+    }
+
+    for (const sign of getWarningSigns(text)) {
+      add(sign, WARNING_SIGNS[sign].weight * decay);
+    }
+  }
+
+  const score = Object.values(signals).reduce((total, signal) => total + signal.score, 0);
+  const threshold = TRAJECTORY_THRESHOLDS.find(t => score >= t.score);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    level: threshold ? threshold.level : 'none',
+    signals: Object.values(signals)
+      .map(signal => ({ ...signal, score: Math.round(signal.score * 100) / 100 }))
+      .sort((a, b) => b.score - a.score),
+    messageCount: messages.length,
+  };
+}
+
+/**
+ * Load the user's recent incoming messages ({ text, level, at })
+ */
+async function getRecentMessages(phoneNumber) {
+  const since = Date.now() - HISTORY_HOURS * 60 * 60 * 1000;
+  const history = await memory.getConversationHistory(phoneNumber, HISTORY_LIMIT * 2);
+
+  let messages = history
+    .filter(row => row.direction === 'incoming')
+    .map(row => ({ text: row.message, level: row.risk_level, at: row.timestamp }));
+
+  // Without the database, fall back to this session's exchanges
+  if (messages.length === 0) {
+    const session = await sessionManager.getSession(phoneNumber);
+    messages = (session.conversationContext || [])
+      .map(entry => ({ text: entry.user, level: entry.riskLevel, at: entry.timestamp }));
+  }
+
+  return messages
+    .filter(message => new Date(message.at).getTime() >= since)
+    .slice(-HISTORY_LIMIT);
+}
+
+/**
+ * Score the conversation including the message being handled
+ */
+export async function assessTrajectory(phoneNumber, message, assessment, now = Date.now()) {
+  try {
+    const history = await getRecentMessages(phoneNumber);
+    const current = { text: message, level: assessment.level, at: new Date(now).toISOString() };
+
+    return scoreTrajectory([...history, current], now);
+  } catch (error) {
+    logger.error('Failed to assess risk trajectory', { error: error.message, phoneNumber });
+    return null;
+  }
+}
+
+/**
+ * Raise a message's assessment when the conversation trend is more severe
+ * (inCrisis: the user is in crisis follow-up, so the crisis they're recovering
+ * from has already been escalated and mustn't escalate every reply after it)
+ */
+export function applyTrajectory(assessment, trajectory, { inCrisis = false } = {}) {
+  if (!trajectory || inCrisis || safety.compareRiskLevels(trajectory.level, assessment.level) <= 0) {
+    return trajectory ? { ...assessment, trajectory: { ...trajectory, escalated: false } } : assessment;
+  }
+
+  const categories = assessment.categories.length > 0 ? assessment.categories : ['suicide'];
+  const isCrisis = safety.isCrisisLevel(trajectory.level);
+
+  logger.warn('Risk trajectory escalated', {
+    from: assessment.level,
+    to: trajectory.level,
+    score: trajectory.score,
+    signals: trajectory.signals.map(({ signal }) => signal),
+  });
+
+  return {
+    ...assessment,
+    level: trajectory.level,
+    // What the message scored on its own; history is stored and rescored with this
+    messageLevel: assessment.level,
+    categories,
+    resources: assessment.resources.length > 0
+      ? assessment.resources
+      : safety.getResourcesForCategories(categories, assessment.country),
+    requiresImmediateIntervention: isCrisis,
+    isCrisis: assessment.isCrisis || isCrisis,
+    reason: isCrisis && !assessment.isCrisis ? 'risk_trajectory' : assessment.reason,
+    trajectory: { ...trajectory, escalated: true },
+  };
+}
+
+export default {
+  WARNING_SIGNS,
+  TRAJECTORY_THRESHOLDS,
+  getWarningSigns,
+  scoreTrajectory,
+  assessTrajectory,
+  applyTrajectory,
+};
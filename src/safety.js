@@ -1,176 +1,427 @@
-import Anthropic from '@anthropic-ai/sdk';
-import { logger } from './logger.js';
+// Safety Module - Crisis detection, risk assessment and intervention
+import { createMatcher, prepareMessage } from './crisisMatcher.js';
+import { analyzeMatch, CONFIDENCE_THRESHOLD, DISMISS_THRESHOLD } from './crisisContext.js';
+import crisisClassifier from './crisisClassifier.js';
+import crisisResources from './crisisResources.js';
+import llmProvider from './llmProvider.js';
+import promptRegistry from './promptRegistry.js';
+import outputGuard from './outputGuard.js';
+import logger from './logger.js';
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+// Risk levels in ascending order of severity
+export const RISK_LEVELS = ['none', 'low', 'medium', 'high', 'critical'];
 
-// Critical keywords - immediate crisis detection
+// Crisis keywords by category, grouped by the risk level a match implies
 const CRISIS_KEYWORDS = {
-  selfHarm: [
-    'kill myself', 'end my life', 'suicide', 'suicidal', 'want to die', 
-    'better off dead', 'overdose', 'cut myself', 'hurt myself', 
-    'end it all', 'no reason to live', 'take my life', 'going to die',
-    'pills', 'jump off', 'hang myself', 'shoot myself'
-  ],
-  harmToOthers: [
-    'kill them', 'hurt someone', 'going to hurt', 'violent thoughts', 
-    'make them pay', 'going to attack', 'bring a gun', 'bring a weapon',
-    'hurt people', 'shoot up', 'stab them'
-  ],
-  abuse: [
-    'being hurt', 'hitting me', 'touches me', 'hurting me', 'unsafe at home',
-    'scared of them', 'won\'t let me leave', 'locks me in', 'beats me',
-    'molests me', 'sexual abuse', 'physical abuse'
-  ],
-  extremeDistress: [
-    'can\'t breathe', 'losing control', 'heart racing', 
-    'chest pain', 'think i\'m dying', 'having a heart attack',
-    'severe pain', 'can\'t stop shaking'
-  ]
+  suicide: {
+    critical: [
+      'kill myself', 'end my life', 'take my life', 'hang myself',
+      'shoot myself', 'jump off', 'have a plan to', 'wrote a note',
+      'saying goodbye to everyone'
+    ],
+    high: [
+      'suicide', 'suicidal', 'want to die', 'better off dead', 'end it all',
+      'no reason to live', 'don\'t want to live', 'don\'t want to be alive'
+    ],
+    medium: [
+      'wish i was dead', 'wish i were dead', 'wish i wasn\'t here',
+      'want to disappear', 'going to die', 'can\'t go on'
+    ]
+  },
+  selfHarm: {
+    high: [
+      'cut myself', 'cutting myself', 'been cutting', 'started cutting',
+      'overdose', 'burn myself', 'hurt myself', 'self harm', 'self-harm'
+    ],
+    medium: [
+      'hurting myself', 'punish myself', 'relapsed', 'scratch myself'
+    ],
+    low: ['pills']
+  },
+  harmToOthers: {
+    critical: [
+      'bring a gun', 'bring a weapon', 'shoot up', 'going to attack'
+    ],
+    high: [
+      'kill them', 'stab them', 'hurt someone', 'going to hurt',
+      'hurt people', 'make them pay'
+    ],
+    medium: ['violent thoughts']
+  },
+  abuse: {
+    high: [
+      'hitting me', 'beats me', 'touches me', 'molests me', 'sexual abuse',
+      'physical abuse', 'locks me in', 'won\'t let me leave'
+    ],
+    medium: [
+      'being hurt', 'hurting me', 'unsafe at home', 'scared of them'
+    ]
+  },
+  medicalDistress: {
+    high: [
+      'can\'t breathe', 'chest pain', 'think i\'m dying',
+      'having a heart attack'
+    ],
+    medium: [
+      'heart racing', 'losing control', 'can\'t stop shaking', 'severe pain'
+    ]
+  }
+};
+
+// Phrases that signal distress without naming a specific risk
+const CONCERNING_PATTERNS = [
+  'don\'t want to', 'can\'t take', 'give up', 'hopeless',
+  'pointless', 'nothing matters', 'everyone would be', 'no point',
+  'better off', 'can\'t go on', 'too hard', 'too much'
+];
+
+// Keyword lists compiled for slang/obfuscation-robust matching
+const KEYWORD_MATCHER = createMatcher(
+  Object.entries(CRISIS_KEYWORDS).flatMap(([category, tiers]) =>
+    Object.entries(tiers).flatMap(([level, keywords]) =>
+      keywords.map(phrase => ({ phrase, category, level }))
+    )
+  )
+);
+
+const CONCERNING_MATCHER = createMatcher(CONCERNING_PATTERNS.map(phrase => ({ phrase })));
+
+// Crisis hotlines and support services for the default country
+export const CRISIS_RESOURCES = crisisResources.RESOURCE_REGISTRY[crisisResources.DEFAULT_COUNTRY];
+
+// Which resources to offer for each risk category, most relevant first
+const CATEGORY_RESOURCES = {
+  suicide: ['suicide', 'crisisText'],
+  selfHarm: ['crisisText', 'suicide'],
+  harmToOthers: ['emergency', 'suicide'],
+  abuse: ['abuse', 'crisisText'],
+  medicalDistress: ['emergency'],
 };
 
-export async function checkCrisis(message) {
-  const messageLower = message.toLowerCase();
-  
-  // Layer 1: Keyword detection - IMMEDIATE
-  for (const [category, keywords] of Object.entries(CRISIS_KEYWORDS)) {
-    for (const keyword of keywords) {
-      if (messageLower.includes(keyword)) {
-        return {
-          isCrisis: true,
-          reason: `keyword_match_${category}`,
-          keyword
-        };
+const DEFAULT_RESOURCES = ['suicide', 'crisisText'];
+
+// Ambiguous hits at or above this confidence are treated as a crisis if the AI check fails
+const FAILSAFE_CONFIDENCE = 0.5;
+
+/**
+ * Compare two risk levels (positive if level1 is more severe)
+ */
+export function compareRiskLevels(level1, level2) {
+  return RISK_LEVELS.indexOf(level1) - RISK_LEVELS.indexOf(level2);
+}
+
+/**
+ * Check whether a risk level calls for an immediate crisis response
+ */
+export function isCrisisLevel(level) {
+  return compareRiskLevels(level, 'high') >= 0;
+}
+
+/**
+ * Check whether an assessment needs a human on-call responder
+ */
+export function requiresHumanEscalation(assessment) {
+  return isCrisisLevel(assessment.level);
+}
+
+/**
+ * Check whether an assessment should be queued for staff review
+ */
+export function requiresReview(assessment) {
+  return compareRiskLevels(assessment.level, 'medium') >= 0;
+}
+
+/**
+ * Assess the risk level of a message across all crisis categories
+ * (the phone number picks which country's resources to attach)
+ */
+export function assessRisk(message, phoneNumber = null) {
+  const assessment = {
+    level: 'none',
+    country: crisisResources.getCountryForPhoneNumber(phoneNumber),
+    categories: [],
+    possibleCategories: [],
+    indicators: [],
+    confidence: 0,
+    ambiguous: false,
+    resources: [],
+    requiresImmediateIntervention: false,
+  };
+
+  if (!message || typeof message !== 'string') {
+    return assessment;
+  }
+
+  const prepared = prepareMessage(message);
+
+  for (const match of KEYWORD_MATCHER.match(prepared)) {
+    const { phrase, category, level } = match;
+    const { confidence, modifiers } = analyzeMatch(prepared, match);
+
+    assessment.indicators.push({ category, level, keyword: phrase, confidence, modifiers });
+    assessment.confidence = Math.max(assessment.confidence, confidence);
+
+    // Negated, benign and similar hits don't count toward the level, but a high or
+    // critical phrase is never dismissed on context alone: the AI check gets a look
+    if (confidence < DISMISS_THRESHOLD && !isCrisisLevel(level)) {
+      continue;
+    }
+
+    // Uncertain hits are left for the AI layer to confirm
+    if (confidence < CONFIDENCE_THRESHOLD) {
+      if (!assessment.possibleCategories.includes(category)) {
+        assessment.possibleCategories.push(category);
       }
+      continue;
+    }
+
+    if (!assessment.categories.includes(category)) {
+      assessment.categories.push(category);
     }
+
+    if (compareRiskLevels(level, assessment.level) > 0) {
+      assessment.level = level;
+    }
+  }
+
+  // Several kinds of risk in one message compound each other
+  if (assessment.categories.length > 1 && compareRiskLevels(assessment.level, 'medium') >= 0) {
+    assessment.level = RISK_LEVELS[Math.min(
+      RISK_LEVELS.indexOf(assessment.level) + 1,
+      RISK_LEVELS.length - 1
+    )];
+  }
+
+  assessment.ambiguous = assessment.possibleCategories.length > 0 && !isCrisisLevel(assessment.level);
+
+  if (assessment.level === 'none' && (assessment.ambiguous || hasConcerningPattern(prepared))) {
+    assessment.level = 'low';
+  }
+
+  if (assessment.categories.length > 0) {
+    assessment.resources = getResourcesForCategories(assessment.categories, assessment.country);
+  }
+  assessment.requiresImmediateIntervention = isCrisisLevel(assessment.level);
+
+  return assessment;
+}
+
+/**
+ * Check message for crisis content (keywords first, AI for ambiguous cases)
+ */
+export async function checkCrisis(message, phoneNumber = null) {
+  // Layer 1: Keyword assessment - IMMEDIATE
+  const assessment = assessRisk(message, phoneNumber);
+
+  if (assessment.requiresImmediateIntervention) {
+    return {
+      ...assessment,
+      isCrisis: true,
+      reason: 'keyword_match',
+    };
   }
-  
+
   // Layer 2: AI-powered context analysis for ambiguous cases
-  const concerningPatterns = [
-    'don\'t want to', 'can\'t take', 'give up', 'hopeless', 
-    'pointless', 'nothing matters', 'everyone would be', 'no point',
-    'better off', 'can\'t go on', 'too hard', 'too much'
-  ];
-  
-  const hasConcerningPattern = concerningPatterns.some(pattern => 
-    messageLower.includes(pattern)
-  );
-  
-  if (hasConcerningPattern && message.length > 20) {
+  if (assessment.ambiguous || (hasConcerningPattern(message) && message.length > 20)) {
     try {
-      const aiAnalysis = await analyzeWithAI(message);
-      if (aiAnalysis.isCrisis) {
-        return {
-          isCrisis: true,
-          reason: 'ai_analysis',
-          confidence: aiAnalysis.confidence
-        };
-      }
+      const verdict = await crisisClassifier.classify(message, phoneNumber);
+      return applyVerdict(assessment, verdict);
     } catch (error) {
-      logger.error('AI safety check failed', { error: error.message });
+      logger.error('AI safety check failed', { error: error.message, type: error.type || null });
       // Fail safe: if concerning content and AI fails, treat as crisis
-      if (hasConcerningPattern && 
-          (messageLower.includes('die') || 
-           messageLower.includes('hurt') || 
-           messageLower.includes('end'))) {
-        return {
-          isCrisis: true,
-          reason: 'safety_check_failure_failsafe'
-        };
+      if (shouldFailSafe(message, assessment)) {
+        return escalateAssessment(assessment, 'safety_check_failure_failsafe');
       }
+
+      // Never fail open: whatever needed a second look goes to staff review, with resources shown
+      return flagForReview(assessment, 'safety_check_unavailable');
     }
   }
-  
-  return { isCrisis: false };
+
+  return { ...assessment, isCrisis: false };
 }
 
-async function analyzeWithAI(message) {
-  const safetyPrompt = `You are a crisis detection system. Analyze this message and determine if it indicates:
-1. Imminent self-harm or suicide risk
-2. Plans to harm others
-3. Active abuse situation
-4. Medical emergency
+/**
+ * Decide whether to treat a message as a crisis when the AI check is unavailable
+ */
+function shouldFailSafe(message, assessment) {
+  if (assessment.ambiguous) {
+    return assessment.indicators.some(indicator =>
+      indicator.confidence >= FAILSAFE_CONFIDENCE && indicator.confidence < CONFIDENCE_THRESHOLD);
+  }
 
-Message: "${message}"
+  // Whole words only, so "friend" or "weekend" don't trip it
+  const { tokens } = prepareMessage(message);
+  return ['die', 'hurt', 'end'].some(word => tokens.includes(word));
+}
 
-Respond with ONLY "CRISIS" or "SAFE" followed by confidence (HIGH/MEDIUM/LOW).
-Format: CRISIS HIGH or SAFE HIGH`;
+/**
+ * Fold an AI verdict into an assessment (the AI can raise risk, never lower it)
+ */
+function applyVerdict(assessment, verdict) {
+  const aiVerdict = {
+    severity: verdict.severity,
+    categories: verdict.categories,
+    confidence: verdict.confidence,
+    rationale: verdict.rationale,
+  };
 
-  try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 50,
-      messages: [{
-        role: 'user',
-        content: safetyPrompt
-      }]
-    });
-    
-    const result = response.content[0].text.trim();
-    const isCrisis = result.startsWith('CRISIS');
-    const confidence = result.includes('HIGH') ? 'high' : 
-                      result.includes('MEDIUM') ? 'medium' : 'low';
-    
-    return { isCrisis, confidence };
-    
-  } catch (error) {
-    throw error;
+  if (verdict.crisis) {
+    const escalated = escalateAssessment({
+      ...assessment,
+      possibleCategories: [...assessment.possibleCategories, ...verdict.categories],
+    }, 'ai_analysis', { aiVerdict });
+
+    if (compareRiskLevels(verdict.severity, escalated.level) > 0) {
+      escalated.level = verdict.severity;
+    }
+
+    return escalated;
   }
+
+  if (compareRiskLevels(verdict.severity, assessment.level) <= 0) {
+    return { ...assessment, aiVerdict, isCrisis: false };
+  }
+
+  const categories = [...new Set([...assessment.categories, ...verdict.categories])];
+
+  return {
+    ...assessment,
+    level: verdict.severity,
+    categories,
+    resources: categories.length > 0 ? getResourcesForCategories(categories, assessment.country) : [],
+    aiVerdict,
+    isCrisis: false,
+  };
 }
 
-// ========================================
-// FILE: src/aiEngine.js
-// ========================================
-import Anthropic from '@anthropic-ai/sdk';
-import { logger } from './logger.js';
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
-
-const CALMTEXT_SYSTEM_PROMPT = `You are CalmText, a warm, supportive mental-health companion designed for teens. You communicate only through short, SMS-friendly messages. You are not a therapist and must never offer medical, diagnostic, or clinical advice. Your job is to help the user feel heard, understood, and calmer through empathy, reflective listening, grounding exercises, and gentle guidance.
-
-1. Tone + Personality Rules
-You must always:
-• Be calm, caring, and non-judgmental.
-• Keep replies concise (1–3 sentences max).
-• Use natural human language, not formal or robotic.
-• Validate feelings before giving suggestions.
-• Avoid clichés or quotes.
-• Never guilt, pressure, or dismiss the user.
-• Never talk about yourself unless explaining how the bot works.
-
-2. Non-Crisis Emotional Support Rules
-Follow this sequence:
-Step 1 — Emotion Recognition: Identify the user's main emotion.
-Step 2 — Validation: "[Emotion] makes sense because [reason]."
-Step 3 — Gentle Reflection or Question: "What part feels the hardest right now?" or "Do you want to talk through what happened?"
-Step 4 — Optional Coping Tool (only if user is open): "Would you like a quick grounding exercise or want to keep talking?"
-
-3. Allowed Coping Tools
-Use only:
-• Grounding: 5-4-3-2-1 senses, 10-second breathing, Name 3 things around you
-• Emotional Labeling: Help them name feelings
-• Cognitive Softening: "It makes sense you see it that way — here's another gentle angle…"
-• Micro-Reflection: "What's one thing you wish someone understood about this?"
-• Practical Comfort: Take a sip of water, stretch, breathe
-
-4. Forbidden Content
-DO NOT:
-• Act like a therapist
-• Give medical/legal advice
-• Tell users what decision to make
-• Promise confidentiality
-• Say "I know exactly how you feel"
-• Ask intense personal questions
-• Encourage dependence
-• Use paragraphs
-
-5. Response Format
-1–3 sentences. Warm. Human. No emojis unless user uses them first.`;
-
-export async function generateAIResponse(userMessage, context = []) {
+/**
+ * Raise an assessment to at least medium risk (staff review, resources shown) when it couldn't be checked
+ */
+function flagForReview(assessment, reason) {
+  const categories = assessment.categories.length > 0 ? assessment.categories : assessment.possibleCategories;
+
+  return {
+    ...assessment,
+    level: compareRiskLevels(assessment.level, 'medium') > 0 ? assessment.level : 'medium',
+    resources: assessment.resources.length > 0
+      ? assessment.resources
+      : getResourcesForCategories(categories, assessment.country),
+    isCrisis: false,
+    reason,
+  };
+}
+
+/**
+ * Raise an assessment to high risk when a secondary check flags it
+ */
+function escalateAssessment(assessment, reason, extra = {}) {
+  const categories = [...new Set([...assessment.categories, ...assessment.possibleCategories])];
+
+  return {
+    ...assessment,
+    ...extra,
+    level: compareRiskLevels(assessment.level, 'high') > 0 ? assessment.level : 'high',
+    categories,
+    resources: assessment.resources.length > 0
+      ? assessment.resources
+      : getResourcesForCategories(categories, assessment.country),
+    requiresImmediateIntervention: true,
+    isCrisis: true,
+    reason,
+  };
+}
+
+/**
+ * Check for general distress phrases (raw or prepared message)
+ */
+function hasConcerningPattern(message) {
+  return CONCERNING_MATCHER.match(message).length > 0;
+}
+
+/**
+ * Get the crisis resources relevant to a set of risk categories in a country
+ */
+export function getResourcesForCategories(categories = [], country = crisisResources.DEFAULT_COUNTRY) {
+  const keys = [];
+
+  for (const category of categories) {
+    for (const key of CATEGORY_RESOURCES[category] || []) {
+      if (!keys.includes(key)) {
+        keys.push(key);
+      }
+    }
+  }
+
+  const resources = crisisResources.getResources(country, keys);
+
+  return resources.length > 0 ? resources : crisisResources.getResources(country, DEFAULT_RESOURCES);
+}
+
+/**
+ * Check that every supported country has the resources crisis responses rely on
+ */
+export function validateSafetyConfiguration() {
+  const errors = [];
+  const countries = Object.keys(crisisResources.RESOURCE_REGISTRY)
+    .filter(country => country !== crisisResources.INTERNATIONAL);
+
+  if (!crisisResources.RESOURCE_REGISTRY[crisisResources.DEFAULT_COUNTRY]) {
+    errors.push(`Default resource country ${crisisResources.DEFAULT_COUNTRY} is not in the registry`);
+  }
+
+  for (const country of countries) {
+    for (const key of crisisResources.REQUIRED_RESOURCES) {
+      const resource = crisisResources.getResource(country, key);
+
+      if (!resource || !resource.name || !resource.number || !resource.contact) {
+        errors.push(`${country} is missing a complete "${key}" resource`);
+      }
+    }
+
+    for (const category of Object.keys(CRISIS_KEYWORDS)) {
+      if (getResourcesForCategories([category], country).length === 0) {
+        errors.push(`${country} has no resources for ${category}`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    logger.error('Invalid safety configuration', { errors });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Generate a crisis response proportional to the assessed risk
+ */
+export function generateCrisisResponse(assessment) {
+  const country = assessment.country || crisisResources.DEFAULT_COUNTRY;
+  const resources = assessment.resources && assessment.resources.length > 0
+    ? assessment.resources
+    : getResourcesForCategories(assessment.categories, country);
+
+  let opening;
+  if (assessment.level === 'critical') {
+    opening = `I'm really concerned about what you just shared, and I want you to be safe right now. ` +
+      crisisResources.getEmergencyLine(country);
+  } else if (assessment.level === 'high') {
+    opening = `I'm concerned about what you shared, and you deserve support from a real person right now.`;
+  } else {
+    opening = `It sounds like you're carrying a lot. If it starts to feel like too much, these are free and available 24/7.`;
+  }
+
+  const resourceLines = resources
+    .filter(resource => !(assessment.level === 'critical' && resource.key === 'emergency'))
+    .map(resource => `${resource.name}: ${resource.contact}`);
+
+  return `${opening}\n\n${resourceLines.join('\n')}\n\n` +
+    `You're not alone, and I'm still here to talk.`;
+}
+
+export async function generateAIResponse(userMessage, context = [], phoneNumber = null) {
   try {
     // Build conversation history
     const messages = [];
@@ -185,19 +436,17 @@ export async function generateAIResponse(userMessage, context = []) {
     // Add current message
     messages.push({ role: 'user', content: userMessage });
     
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 300,
-      system: CALMTEXT_SYSTEM_PROMPT,
-      messages: messages
-    });
-    
-    let aiResponse = response.content[0].text.trim();
+    const systemPrompt = promptRegistry.getPrompt('calmtext').text;
     
-    // Validate response
-    aiResponse = validateResponse(aiResponse);
+    // Drafts that break the output policy are regenerated with feedback
+    const guarded = await outputGuard.guardReply(feedback => llmProvider.complete({
+      purpose: 'chat',
+      maxTokens: 300,
+      system: feedback ? systemPrompt + feedback : systemPrompt,
+      messages: messages
+    }), { path: 'safety' });
     
-    return aiResponse;
+    return guarded.text;
     
   } catch (error) {
     logger.error('AI generation error', { 
@@ -207,38 +456,25 @@ export async function generateAIResponse(userMessage, context = []) {
     
     // Fallback responses based on error type
     if (error.type === 'rate_limit_error') {
-      return "I'm getting a lot of messages right now. If you need immediate help, please call 988.";
+      const hotlines = crisisResources.getHotlineSummary(crisisResources.getCountryForPhoneNumber(phoneNumber));
+      return `I'm getting a lot of messages right now. If you need immediate help, please ${hotlines}.`;
     }
     
     return "I'm here to listen. What's on your mind?";
   }
 }
 
-function validateResponse(response) {
-  // Remove any forbidden content patterns
-  const forbiddenPatterns = [
-    /I am (not )?a therapist/gi,
-    /you should see a (doctor|therapist|professional|counselor)/gi,
-    /I diagnose/gi,
-    /medical advice/gi,
-    /call 911/gi,
-    /go to (the )?emergency/gi
-  ];
-  
-  for (const pattern of forbiddenPatterns) {
-    if (pattern.test(response)) {
-      logger.warn('Forbidden pattern detected in response', { 
-        response: response.substring(0, 50) 
-      });
-      return "I'm here to support you. What feels most important to talk about right now?";
-    }
-  }
-  
-  // Ensure response is concise (under 400 chars for SMS)
-  if (response.length > 400) {
-    const sentences = response.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    response = sentences.slice(0, 2).join('. ').trim() + '.';
-  }
-  
-  return response;
-}
+export default {
+  RISK_LEVELS,
+  CRISIS_RESOURCES,
+  compareRiskLevels,
+  isCrisisLevel,
+  requiresHumanEscalation,
+  requiresReview,
+  assessRisk,
+  checkCrisis,
+  getResourcesForCategories,
+  validateSafetyConfiguration,
+  generateCrisisResponse,
+  generateAIResponse,
+};
@@ -0,0 +1,181 @@
+// Safety Plan Module - Guided, step-by-step personal safety plans
+import memory from './memory.js';
+import crisisResources from './crisisResources.js';
+import sessionManager from './sessionManager.js';
+import logger from './logger.js';
+
+export const FLOW_TYPE = 'safetyPlan';
+
+// Safety plan steps, in the order they are asked
+export const SAFETY_PLAN_STEPS = [
+  {
+    key: 'warningSigns',
+    title: 'My warning signs',
+    prompt: `What are some warning signs that a hard moment might be starting? ` +
+      `(thoughts, feelings, situations)`,
+  },
+  {
+    key: 'copingStrategies',
+    title: 'Things I can do on my own',
+    prompt: `What are some things you can do on your own to feel a little better? ` +
+      `(music, a walk, drawing, a shower...)`,
+  },
+  {
+    key: 'distractions',
+    title: 'People & places that take my mind off things',
+    prompt: `Which people or places help take your mind off things?`,
+  },
+  {
+    key: 'helpContacts',
+    title: 'People I can ask for help',
+    prompt: `Who could you reach out to for help? (a friend, family member, coach...) ` +
+      `Add how to reach them if you want.`,
+  },
+  {
+    key: 'professionals',
+    title: 'Professionals I can contact',
+    prompt: `Are there any professionals you could contact? ` +
+      `(school counselor, therapist, doctor) A crisis line is always on your plan too.`,
+  },
+  {
+    key: 'safeEnvironment',
+    title: 'Making my space safer',
+    prompt: `Last one: what could make your space safer when things get hard? ` +
+      `(like asking someone to hold onto things you might use to hurt yourself)`,
+  },
+];
+
+/**
+ * Get the prompt for a step
+ */
+export function getStepPrompt(stepIndex) {
+  const step = SAFETY_PLAN_STEPS[stepIndex];
+  return `Step ${stepIndex + 1} of ${SAFETY_PLAN_STEPS.length}: ${step.prompt}`;
+}
+
+/**
+ * Start (or restart) the safety plan builder
+ */
+export async function startSafetyPlan(phoneNumber) {
+  const existing = await getSafetyPlan(phoneNumber);
+
+  await sessionManager.setActiveFlow(phoneNumber, {
+    type: FLOW_TYPE,
+    step: 0,
+    answers: existing?.steps || {},
+  });
+
+  return `Let's make a safety plan together. It's a short list you can look at when things feel heavy. ` +
+    `Text SKIP to skip a step or CANCEL to stop anytime.\n\n` +
+    getStepPrompt(0);
+}
+
+/**
+ * Record an answer for the current step and move to the next one
+ */
+export async function handleSafetyPlanResponse(phoneNumber, message) {
+  const session = await sessionManager.getSession(phoneNumber);
+  const flow = session.activeFlow;
+
+  if (!flow || flow.type !== FLOW_TYPE) {
+    return null;
+  }
+
+  const reply = message.trim();
+  const command = reply.toLowerCase();
+
+  if (command === 'cancel') {
+    await sessionManager.clearActiveFlow(phoneNumber);
+    return `No problem, we can pick this up anytime. Anything you already shared is saved - text MYPLAN to see it.`;
+  }
+
+  const step = SAFETY_PLAN_STEPS[flow.step];
+
+  if (command !== 'skip') {
+    flow.answers[step.key] = reply;
+    await saveSafetyPlan(phoneNumber, flow.answers, false);
+  }
+
+  const nextStep = flow.step + 1;
+
+  if (nextStep >= SAFETY_PLAN_STEPS.length) {
+    await sessionManager.clearActiveFlow(phoneNumber);
+    await saveSafetyPlan(phoneNumber, flow.answers, true);
+
+    logger.info('Safety plan completed', { phoneNumber: phoneNumber.slice(-4) });
+
+    return `Your safety plan is saved. Text MYPLAN anytime to see it again.\n\n` +
+      formatSafetyPlan({ steps: flow.answers }, phoneNumber);
+  }
+
+  await sessionManager.setActiveFlow(phoneNumber, { ...flow, step: nextStep });
+
+  return `Thanks for sharing that.\n\n${getStepPrompt(nextStep)}`;
+}
+
+/**
+ * Persist plan answers in the user's metadata
+ */
+async function saveSafetyPlan(phoneNumber, steps, completed) {
+  const existing = await getSafetyPlan(phoneNumber);
+  const now = new Date().toISOString();
+
+  return await memory.updateUserMetadata(phoneNumber, {
+    safetyPlan: {
+      steps,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      completedAt: completed ? now : existing?.completedAt || null,
+    },
+  });
+}
+
+/**
+ * Get a user's saved safety plan
+ */
+export async function getSafetyPlan(phoneNumber) {
+  const profile = await memory.getUserProfile(phoneNumber);
+  const plan = profile?.metadata?.safetyPlan;
+
+  if (!plan || Object.keys(plan.steps || {}).length === 0) {
+    return null;
+  }
+
+  return plan;
+}
+
+/**
+ * Format a safety plan as a single text, with the hotlines for the user's country
+ */
+export function formatSafetyPlan(plan, phoneNumber = null) {
+  const lines = SAFETY_PLAN_STEPS
+    .filter(step => plan.steps[step.key])
+    .map(step => `${step.title}: ${plan.steps[step.key]}`);
+
+  return `YOUR SAFETY PLAN\n\n${lines.join('\n\n')}\n\n` +
+    `Anytime: ${crisisResources.getHotlineSummary(crisisResources.getCountryForPhoneNumber(phoneNumber))}.`;
+}
+
+/**
+ * Get the MYPLAN command reply
+ */
+export async function getMyPlanMessage(phoneNumber) {
+  const plan = await getSafetyPlan(phoneNumber);
+
+  if (!plan) {
+    return `You don't have a safety plan yet. Text SAFETYPLAN and I'll walk you through making one.`;
+  }
+
+  return formatSafetyPlan(plan, phoneNumber);
+}
+
+export default {
+  FLOW_TYPE,
+  SAFETY_PLAN_STEPS,
+  getStepPrompt,
+  startSafetyPlan,
+  handleSafetyPlanResponse,
+  getSafetyPlan,
+  formatSafetyPlan,
+  getMyPlanMessage,
+};
@@ -3,14 +3,31 @@ import helmet from 'helmet';
 import { rateLimit } from 'express-rate-limit';
 import twilio from 'twilio';
 import dotenv from 'dotenv';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { handleIncomingMessage } from './messageHandler.js';
-import { logger } from './logger.js';
+import webChat from './webChat.js';
+import twilioService from './twilio.js';
+import whatsapp from './whatsapp.js';
+import deliveryTracker from './deliveryTracker.js';
+import memory from './memory.js';
+import escalation from './escalation.js';
+import crisisFollowUp from './crisisFollowUp.js';
+import usageTracker from './usageTracker.js';
+import llmProvider from './llmProvider.js';
+import logger from './logger.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public');
+
+// Sites allowed to embed the web chat widget (comma-separated origins, * for any)
+const WEB_CHAT_ORIGINS = (process.env.WEB_CHAT_ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim());
+
 // Security middleware
 app.use(helmet());
 app.use(express.json());
@@ -26,10 +43,14 @@ app.use(globalLimiter);
 
 // Health check
 app.get('/health', (req, res) => {
+  // Still 200 when degraded: replies fall back to templates, the service itself is up
+  const llm = llmProvider.getHealth();
+
   res.json({ 
-    status: 'ok', 
+    status: llm.circuit.state === 'closed' ? 'ok' : 'degraded', 
     timestamp: new Date().toISOString(),
-    service: 'calmtext'
+    service: 'calmtext',
+    llm
   });
 });
 
@@ -42,34 +63,54 @@ app.get('/', (req, res) => {
   });
 });
 
-// Twilio webhook endpoint
-app.post('/sms/webhook', async (req, res) => {
+// Validate Twilio signature in production
+function requireTwilioSignature(req, res, next) {
+  if (process.env.NODE_ENV === 'production') {
+    const twilioSignature = req.headers['x-twilio-signature'];
+    const url = `https://${req.headers.host}${req.url}`;
+    
+    if (!twilio.validateRequest(
+      process.env.TWILIO_AUTH_TOKEN,
+      twilioSignature,
+      url,
+      req.body
+    )) {
+      logger.warn('Invalid Twilio signature');
+      return res.status(403).send('Forbidden');
+    }
+  }
+
+  next();
+}
+
+// Twilio webhook endpoint (SMS and WhatsApp)
+app.post('/sms/webhook', requireTwilioSignature, async (req, res) => {
   try {
-    const { From, Body, MessageSid } = req.body;
+    const { from, message, messageSid, channel, media } = twilioService.parseIncomingMessage(req.body);
     
-    logger.info('Received SMS', { 
-      from: From?.slice(-4),
-      messageId: MessageSid 
+    logger.info('Received message', { 
+      from: from?.slice(-4),
+      channel,
+      messageId: messageSid,
+      numMedia: media.length
     });
 
-    // Validate Twilio signature in production
-    if (process.env.NODE_ENV === 'production') {
-      const twilioSignature = req.headers['x-twilio-signature'];
-      const url = `https://${req.headers.host}${req.url}`;
-      
-      if (!twilio.validateRequest(
-        process.env.TWILIO_AUTH_TOKEN,
-        twilioSignature,
-        url,
-        req.body
-      )) {
-        logger.warn('Invalid Twilio signature');
-        return res.status(403).send('Forbidden');
-      }
+    // Twilio retries webhooks it thinks timed out: acknowledge repeats, but process each message once
+    if (messageSid && !(await memory.claimMessageSid(messageSid))) {
+      logger.warn('Duplicate webhook delivery ignored', {
+        from: from?.slice(-4),
+        messageId: messageSid
+      });
+      return res.status(200).send('');
+    }
+
+    // Their message opens WhatsApp's 24-hour window for free-form replies
+    if (channel === 'whatsapp') {
+      whatsapp.recordInbound(from);
     }
 
     // Process message asynchronously
-    handleIncomingMessage(From, Body, MessageSid)
+    handleIncomingMessage(from, message, messageSid, media)
       .catch(err => logger.error('Message handling error', { error: err.message }));
 
     // Respond immediately to Twilio
@@ -81,6 +122,175 @@ app.post('/sms/webhook', async (req, res) => {
   }
 });
 
+// Twilio delivery status callback (set TWILIO_STATUS_CALLBACK_URL to this route)
+app.post('/sms/status', requireTwilioSignature, (req, res) => {
+  const callback = twilioService.parseStatusCallback(req.body);
+
+  if (!callback.messageSid || !callback.status) {
+    return res.status(400).send('');
+  }
+
+  // Process asynchronously; Twilio only needs to know we got it
+  deliveryTracker.handleStatusCallback(callback)
+    .catch(err => logger.error('Delivery status error', { error: err.message, messageSid: callback.messageSid }));
+
+  res.status(200).send('');
+});
+
+// Web chat: the widget runs on other sites, so these routes allow cross-origin requests
+app.use('/web', (req, res, next) => {
+  const origin = req.headers.origin;
+
+  if (origin && (WEB_CHAT_ORIGINS.includes('*') || WEB_CHAT_ORIGINS.includes(origin))) {
+    res.set({
+      'Access-Control-Allow-Origin': WEB_CHAT_ORIGINS.includes('*') ? '*' : origin,
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      Vary: 'Origin',
+    });
+  }
+
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+
+  next();
+});
+
+// Embeddable widget: <script src="https://your-server/web/widget.js" defer></script>
+app.get('/web/widget.js', (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, 'widget.js'));
+});
+
+// New anonymous sessions are limited separately so one visitor can't mint endless ids
+const webSessionLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: { error: 'Too many sessions, please try again later.' }
+});
+
+// Start an anonymous web chat session
+app.post('/web/session', webSessionLimiter, (req, res) => {
+  const { token, expiresAt, help } = webChat.createSession();
+  res.status(201).json({ token, expiresAt, help });
+});
+
+// Web chat requests carry the session token as a bearer token (or ?token= for event streams,
+// which browsers open without custom headers)
+function requireWebSession(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : req.query.token;
+  const userId = webChat.verifyToken(token);
+
+  if (!userId) {
+    return res.status(401).json({ error: 'Invalid or expired session' });
+  }
+
+  req.webUserId = userId;
+  next();
+}
+
+// Send a message from the web chat; replies arrive on the event stream
+app.post('/web/messages', requireWebSession, (req, res) => {
+  const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+
+  if (!message) {
+    return res.status(400).json({ error: 'message is required' });
+  }
+
+  if (message.length > webChat.MAX_MESSAGE_LENGTH) {
+    return res.status(413).json({ error: `Messages can be up to ${webChat.MAX_MESSAGE_LENGTH} characters` });
+  }
+
+  const messageId = `WEB${crypto.randomUUID().replace(/-/g, '')}`;
+
+  logger.info('Received web chat message', {
+    from: req.webUserId.slice(-4),
+    messageId
+  });
+
+  // Same pipeline as SMS: safety check, commands, AI
+  handleIncomingMessage(req.webUserId, message, messageId)
+    .catch(err => logger.error('Message handling error', { error: err.message }));
+
+  res.status(202).json({ messageId });
+});
+
+// Replies as server-sent events (anything sent while disconnected is delivered on connect)
+app.get('/web/events', requireWebSession, (req, res) => {
+  webChat.openStream(req.webUserId, req, res);
+});
+
+// Admin endpoints require the shared admin key
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey || req.headers['x-admin-key'] !== adminKey) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+// Active escalations
+app.get('/api/escalations', requireAdmin, (req, res) => {
+  res.json({ escalations: escalation.getActiveEscalations() });
+});
+
+// Acknowledge an escalation
+app.post('/api/escalations/:id/acknowledge', requireAdmin, async (req, res, next) => {
+  try {
+    const { responder } = req.body;
+
+    if (!responder) {
+      return res.status(400).json({ error: 'responder is required' });
+    }
+
+    const result = await escalation.acknowledge(req.params.id, responder);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Escalation not found' });
+    }
+
+    res.json({ success: true, acknowledgedBy: result.acknowledgedBy, acknowledgedAt: result.acknowledgedAt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resolve an escalation
+app.post('/api/escalations/:id/resolve', requireAdmin, async (req, res, next) => {
+  try {
+    const { responder, notes } = req.body;
+
+    if (!responder) {
+      return res.status(400).json({ error: 'responder is required' });
+    }
+
+    const result = await escalation.resolve(req.params.id, responder, notes);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Escalation not found' });
+    }
+
+    res.json({ success: true, resolvedBy: result.resolvedBy, resolvedAt: result.resolvedAt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Model spend by day and purpose, today's totals against the budgets, top users
+app.get('/api/usage', requireAdmin, async (req, res, next) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days || '14') || 14, 1), 90);
+    res.json(await usageTracker.getSpendReport(days));
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error('Unhandled error', { error: err.message, stack: err.stack });
@@ -91,6 +301,10 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   logger.info(`CalmText server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Connect storage in the background so the webhook is reachable immediately
+  memory.initializeRedis().then(ready => ready && crisisFollowUp.restoreFollowUps());
+  memory.initializeDatabase().then(ready => ready && escalation.restoreEscalations());
 });
 
 export default app;
\ No newline at end of file
@@ -2,6 +2,11 @@
 import memory from './memory.js';
 import logger from './logger.js';
 
+const SESSION_TTL_SECONDS = 3600;
+
+// Sessions in crisis follow-up mode must outlive the next-morning follow-up
+const CRISIS_SESSION_TTL_SECONDS = 48 * 3600;
+
 /**
  * Session state management
  */
@@ -48,11 +53,13 @@ export class SessionManager {
       conversationContext: [],
       currentTopic: null,
       mood: null,
+      moodIntensity: null,
       riskLevel: 'none',
       lastActivity: new Date().toISOString(),
       messageCount: 0,
       isFirstTime: true,
       preferences: {},
+      activeFlow: null,
       flags: {
         needsCheckIn: false,
         inCrisis: false,
@@ -66,8 +73,9 @@ export class SessionManager {
    */
   async saveSession(phoneNumber, session) {
     try {
-      // Save to Redis with 1 hour expiry
-      await memory.updateSession(phoneNumber, session, 3600);
+      // Save to Redis with 1 hour expiry (longer while in crisis follow-up)
+      const expiry = session.flags?.inCrisis ? CRISIS_SESSION_TTL_SECONDS : SESSION_TTL_SECONDS;
+      await memory.updateSession(phoneNumber, session, expiry);
 
       // Also keep in memory as fallback
       this.sessions.set(phoneNumber, session);
@@ -93,7 +101,8 @@ export class SessionManager {
         user: userMessage,
         assistant: assistantResponse,
         timestamp: new Date().toISOString(),
-        riskLevel: riskAssessment.level,
+        // The message's own level (not the trend), so the trajectory isn't scored from itself
+        riskLevel: riskAssessment.messageLevel || riskAssessment.level,
       });
 
       // Keep only last 10 exchanges to manage memory
@@ -110,6 +119,17 @@ export class SessionManager {
         session.riskLevel = riskAssessment.level;
       }
 
+      // Keep the latest conversation trend and why it escalated
+      if (riskAssessment.trajectory) {
+        session.riskTrajectory = {
+          score: riskAssessment.trajectory.score,
+          level: riskAssessment.trajectory.level,
+          escalated: riskAssessment.trajectory.escalated,
+          signals: riskAssessment.trajectory.signals.map(({ signal }) => signal),
+          updatedAt: new Date().toISOString(),
+        };
+      }
+
       // Set flags based on risk
       if (riskAssessment.level === 'critical' || riskAssessment.level === 'high') {
         session.flags.inCrisis = true;
@@ -142,9 +162,14 @@ export class SessionManager {
         messageCount: session.messageCount,
         currentTopic: session.currentTopic,
         mood: session.mood,
+        moodIntensity: session.moodIntensity || null,
         riskLevel: session.riskLevel,
         recentMessages: session.conversationContext.slice(-5),
         flags: session.flags,
+        crisisFollowUp: session.crisisFollowUp || null,
+        summary: userProfile?.metadata?.conversationSummary?.summary ? userProfile.metadata.conversationSummary : null,
+        // Saved settings outlast the session; this session's copy is the freshest
+        preferences: { ...userProfile?.metadata?.settings, ...session.preferences },
         userProfile: userProfile ? {
           totalMessages: userProfile.total_messages,
           firstInteraction: userProfile.first_interaction,
@@ -219,6 +244,29 @@ export class SessionManager {
     }
   }
 
+  /**
+   * Start or advance a multi-message flow (e.g. safety plan builder)
+   */
+  async setActiveFlow(phoneNumber, flow) {
+    try {
+      const session = await this.getSession(phoneNumber);
+      session.activeFlow = flow;
+      await this.saveSession(phoneNumber, session);
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to set active flow', { error: error.message, phoneNumber });
+      return false;
+    }
+  }
+
+  /**
+   * End the current multi-message flow
+   */
+  async clearActiveFlow(phoneNumber) {
+    return await this.setActiveFlow(phoneNumber, null);
+  }
+
   /**
    * Set current conversation topic
    */
@@ -233,12 +281,13 @@ export class SessionManager {
   }
 
   /**
-   * Update detected mood
+   * Update detected mood (intensity 1-5 when known)
    */
-  async updateMood(phoneNumber, mood) {
+  async updateMood(phoneNumber, mood, intensity = null) {
     try {
       const session = await this.getSession(phoneNumber);
       session.mood = mood;
+      session.moodIntensity = intensity;
       await this.saveSession(phoneNumber, session);
     } catch (error) {
       logger.error('Failed to update mood', { error: error.message, phoneNumber });
@@ -254,7 +303,7 @@ export class SessionManager {
 
     for (const [phoneNumber, session] of this.sessions.entries()) {
       const lastActivity = new Date(session.lastActivity).getTime();
-      if (now - lastActivity > hourInMs) {
+      if (now - lastActivity > hourInMs && !session.flags.inCrisis) {
         this.sessions.delete(phoneNumber);
       }
     }
@@ -0,0 +1,198 @@
+// SMS Segmenter Module - GSM-7/UCS-2 segment counting and splitting long replies into numbered parts
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Most segments a single part may use before the reply is split into numbered parts
+export const SEGMENTS_PER_PART = parseInt(process.env.SMS_SEGMENTS_PER_PART || '3');
+
+// Price of one outbound segment (USD), for cost reporting
+export const SEGMENT_COST = parseFloat(process.env.SMS_SEGMENT_COST || '0.0079');
+
+// GSM 03.38 basic character set (one septet each)
+const GSM_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// GSM 03.38 extension table (escape + character, two septets each)
+const GSM_EXTENDED = new Set('^{}\\[~]|€\f');
+
+// Capacity of a single segment, and of each segment once a message is concatenated
+const CAPACITY = {
+  'GSM-7': { single: 160, multi: 153 },
+  'UCS-2': { single: 70, multi: 67 },
+};
+
+// Room kept for the "(12/12) " part number
+const PART_LABEL_PLACEHOLDER = '(99/99) ';
+
+/**
+ * Get the encoding a text will be sent in (any non-GSM character forces UCS-2)
+ */
+export function getEncoding(text) {
+  for (const char of text) {
+    if (!GSM_BASIC.has(char) && !GSM_EXTENDED.has(char)) {
+      return 'UCS-2';
+    }
+  }
+
+  return 'GSM-7';
+}
+
+/**
+ * Size of a character in the encoding's units (septets or UTF-16 code units)
+ */
+function charUnits(char, encoding) {
+  if (encoding === 'GSM-7') {
+    return GSM_EXTENDED.has(char) ? 2 : 1;
+  }
+
+  return char.length;
+}
+
+/**
+ * Count segments for a text; characters never straddle two segments
+ * Returns { encoding, units, segments }
+ */
+export function getSegmentInfo(text) {
+  const encoding = getEncoding(text);
+  const capacity = CAPACITY[encoding];
+  const chars = [...text];
+  const units = chars.reduce((total, char) => total + charUnits(char, encoding), 0);
+
+  if (units <= capacity.single) {
+    return { encoding, units, segments: units === 0 ? 0 : 1 };
+  }
+
+  let segments = 1;
+  let used = 0;
+
+  for (const char of chars) {
+    const size = charUnits(char, encoding);
+
+    if (used + size > capacity.multi) {
+      segments++;
+      used = 0;
+    }
+
+    used += size;
+  }
+
+  return { encoding, units, segments };
+}
+
+/**
+ * Check whether a text fits in a number of segments
+ */
+function fits(text, segments) {
+  return getSegmentInfo(text).segments <= segments;
+}
+
+/**
+ * Break text into sentences and lines, keeping their punctuation and spacing
+ */
+function splitSentences(text) {
+  return text.match(/[^.!?\n]+(?:[.!?]+["')\]]*|\n+|$)\s*|[.!?\n]+\s*/g) || [text];
+}
+
+/**
+ * Break a piece that is too long on its own at word boundaries, then characters
+ */
+function splitPiece(piece, maxSegments) {
+  const chunks = [];
+  let current = '';
+
+  for (const word of piece.match(/\S+\s*|\s+/g) || []) {
+    if (fits(PART_LABEL_PLACEHOLDER + current + word, maxSegments)) {
+      current += word;
+      continue;
+    }
+
+    if (current) {
+      chunks.push(current);
+      current = '';
+    }
+
+    // A single word longer than a whole part
+    for (const char of word) {
+      if (!fits(PART_LABEL_PLACEHOLDER + current + char, maxSegments)) {
+        chunks.push(current);
+        current = '';
+      }
+      current += char;
+    }
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * Split a message into parts of at most maxSegments each, at sentence boundaries,
+ * numbered "(1/3) " when there is more than one
+ */
+export function splitMessage(text, maxSegments = SEGMENTS_PER_PART) {
+  const message = text.trim();
+
+  if (fits(message, maxSegments)) {
+    return [message];
+  }
+
+  const parts = [];
+  let current = '';
+
+  for (const sentence of splitSentences(message)) {
+    if (fits(PART_LABEL_PLACEHOLDER + current + sentence, maxSegments)) {
+      current += sentence;
+      continue;
+    }
+
+    if (current.trim()) {
+      parts.push(current);
+    }
+    current = '';
+
+    if (fits(PART_LABEL_PLACEHOLDER + sentence, maxSegments)) {
+      current = sentence;
+    } else {
+      const chunks = splitPiece(sentence, maxSegments);
+      current = chunks.pop();
+      parts.push(...chunks);
+    }
+  }
+
+  if (current.trim()) {
+    parts.push(current);
+  }
+
+  return parts.map((part, i) => `(${i + 1}/${parts.length}) ${part.trim()}`);
+}
+
+/**
+ * Plan how a reply goes out: its parts, total segments and cost
+ */
+export function planMessage(text, maxSegments = SEGMENTS_PER_PART) {
+  const parts = splitMessage(text, maxSegments);
+  const infos = parts.map(getSegmentInfo);
+  const segments = infos.reduce((total, info) => total + info.segments, 0);
+
+  return {
+    parts,
+    encoding: infos.some(info => info.encoding === 'UCS-2') ? 'UCS-2' : 'GSM-7',
+    segments,
+    cost: Math.round(segments * SEGMENT_COST * 10000) / 10000,
+  };
+}
+
+export default {
+  SEGMENTS_PER_PART,
+  SEGMENT_COST,
+  getEncoding,
+  getSegmentInfo,
+  splitMessage,
+  planMessage,
+};
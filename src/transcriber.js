@@ -0,0 +1,90 @@
+// Transcriber Module - Pluggable speech-to-text for voice notes (local stub by default)
+import dotenv from 'dotenv';
+import resilience from './resilience.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+// Scripted transcripts for the stub, by media URL
+const stubTranscripts = new Map();
+
+/**
+ * Local stand-in: returns transcripts scripted with setStubTranscript, and nothing otherwise
+ * (voice notes then get the "please type it" reply)
+ */
+function createStubTranscriber() {
+  return {
+    async transcribe({ url }) {
+      return stubTranscripts.get(url) ?? null;
+    },
+  };
+}
+
+const transcribers = {
+  stub: createStubTranscriber(),
+};
+
+let activeTranscriber = process.env.TRANSCRIBER || 'stub';
+
+if (!transcribers[activeTranscriber]) {
+  logger.error(`Unknown TRANSCRIBER "${activeTranscriber}", using stub`);
+  activeTranscriber = 'stub';
+}
+
+/**
+ * Register a transcriber (must implement transcribe({ url, contentType }, { signal }) returning text or null)
+ */
+export function registerTranscriber(name, transcriber) {
+  if (!transcriber || typeof transcriber.transcribe !== 'function') {
+    throw new Error(`Transcriber "${name}" must implement transcribe(media)`);
+  }
+
+  transcribers[name] = transcriber;
+}
+
+/**
+ * Select which transcriber handles voice notes
+ */
+export function setTranscriber(name) {
+  if (!transcribers[name]) {
+    throw new Error(`Unknown transcriber "${name}"`);
+  }
+
+  activeTranscriber = name;
+}
+
+/**
+ * Script the stub's transcript for a media URL
+ */
+export function setStubTranscript(url, text) {
+  stubTranscripts.set(url, text);
+}
+
+/**
+ * Transcribe a voice note (with retries, a timeout and a circuit breaker)
+ * Returns the text, or null if there was nothing to hear or it failed
+ */
+export async function transcribe(media, phoneNumber) {
+  try {
+    const text = await resilience.callWithResilience(
+      signal => transcribers[activeTranscriber].transcribe(media, { signal }),
+      { name: `transcriber:${activeTranscriber}`, purpose: 'transcription', maxRetries: 1 }
+    );
+
+    return text?.trim() || null;
+  } catch (error) {
+    logger.error('Failed to transcribe voice note', {
+      error: error.message,
+      phoneNumber: phoneNumber.slice(-4),
+      contentType: media.contentType,
+    });
+    return null;
+  }
+}
+
+export default {
+  registerTranscriber,
+  setTranscriber,
+  setStubTranscript,
+  transcribe,
+};
@@ -1,13 +1,23 @@
-// Twilio Module - SMS integration
+// Twilio Module - SMS and WhatsApp integration
 import twilio from 'twilio';
 import dotenv from 'dotenv';
+import smsSegmenter from './smsSegmenter.js';
 import logger from './logger.js';
 
 dotenv.config();
 
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
-const twilioPhoneNumber = process.env.TWILIO_PHONE_NUMBER;
+let twilioPhoneNumber = process.env.TWILIO_PHONE_NUMBER;
+
+// WhatsApp sender (defaults to the SMS number, which can be enabled for WhatsApp)
+let whatsAppNumber = process.env.TWILIO_WHATSAPP_NUMBER || twilioPhoneNumber;
+
+// Twilio addresses WhatsApp users as "whatsapp:+E164"
+export const WHATSAPP_PREFIX = 'whatsapp:';
+
+// Where Twilio posts delivery status updates (e.g. https://your-domain.com/sms/status)
+const statusCallbackUrl = process.env.TWILIO_STATUS_CALLBACK_URL || null;
 
 let twilioClient;
 
@@ -31,7 +41,45 @@ export function initializeTwilio() {
 }
 
 /**
- * Send SMS message
+ * Use a different client with the same messages API (e.g. the local fake in fakeTwilio.js),
+ * optionally sending from other numbers
+ */
+export function setClient(client, { phoneNumber = twilioPhoneNumber, whatsAppPhoneNumber = phoneNumber } = {}) {
+  twilioClient = client;
+  twilioPhoneNumber = phoneNumber;
+  whatsAppNumber = whatsAppPhoneNumber;
+}
+
+/**
+ * Check whether an address is a WhatsApp one
+ */
+export function isWhatsAppAddress(address) {
+  return typeof address === 'string' && address.startsWith(WHATSAPP_PREFIX);
+}
+
+/**
+ * Get the phone number behind an address (drops the "whatsapp:" prefix)
+ */
+export function getPhoneNumber(address) {
+  return isWhatsAppAddress(address) ? address.slice(WHATSAPP_PREFIX.length) : address;
+}
+
+/**
+ * Get the channel of an address: "whatsapp" or "sms"
+ */
+export function getChannel(address) {
+  return isWhatsAppAddress(address) ? 'whatsapp' : 'sms';
+}
+
+/**
+ * Get the number to send from, on the same channel as the recipient
+ */
+function getSender(to) {
+  return isWhatsAppAddress(to) ? `${WHATSAPP_PREFIX}${whatsAppNumber}` : twilioPhoneNumber;
+}
+
+/**
+ * Send SMS message (or a WhatsApp message to a "whatsapp:" address)
  */
 export async function sendSMS(to, message) {
   try {
@@ -41,8 +89,9 @@ export async function sendSMS(to, message) {
 
     const result = await twilioClient.messages.create({
       body: message,
-      from: twilioPhoneNumber,
+      from: getSender(to),
       to: to,
+      ...(statusCallbackUrl ? { statusCallback: statusCallbackUrl } : {}),
     });
 
     logger.logConversation(to, message, false);
@@ -66,23 +115,96 @@ export async function sendSMS(to, message) {
   }
 }
 
+/**
+ * Send a pre-approved template (Twilio Content SID), e.g. to WhatsApp users outside the 24-hour window
+ */
+export async function sendTemplate(to, contentSid, variables = {}) {
+  try {
+    if (!twilioClient) {
+      throw new Error('Twilio client not initialized');
+    }
+
+    const result = await twilioClient.messages.create({
+      contentSid,
+      contentVariables: JSON.stringify(variables),
+      from: getSender(to),
+      to: to,
+      ...(statusCallbackUrl ? { statusCallback: statusCallbackUrl } : {}),
+    });
+
+    logger.info('Template message sent successfully', {
+      to: to.slice(-4),
+      contentSid,
+      messageSid: result.sid,
+      status: result.status,
+    });
+
+    return {
+      success: true,
+      messageSid: result.sid,
+      status: result.status,
+    };
+  } catch (error) {
+    logger.logError(error, { to, context: 'sendTemplate' });
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
 /**
  * Send multiple SMS messages (for long responses)
  */
 export async function sendMultipleSMS(to, messages) {
   const results = [];
 
-  for (const message of messages) {
+  for (const [i, message] of messages.entries()) {
+    // Small delay between messages so they arrive in order
+    if (i > 0) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
     const result = await sendSMS(to, message);
     results.push(result);
 
-    // Small delay between messages
-    await new Promise(resolve => setTimeout(resolve, 500));
+    // Later parts would make no sense without this one
+    if (!result.success) {
+      break;
+    }
   }
 
   return results;
 }
 
+/**
+ * Send a reply of any length, split into numbered parts if needed
+ * Returns { success, parts, segments, encoding, cost, results }
+ */
+export async function sendLongSMS(to, message) {
+  const plan = smsSegmenter.planMessage(message);
+  const results = plan.parts.length === 1
+    ? [await sendSMS(to, plan.parts[0])]
+    : await sendMultipleSMS(to, plan.parts);
+
+  logger.info('SMS reply cost', {
+    to: to.slice(-4),
+    parts: plan.parts.length,
+    segments: plan.segments,
+    encoding: plan.encoding,
+    cost: plan.cost,
+  });
+
+  return {
+    success: results.length === plan.parts.length && results.every(result => result.success),
+    parts: plan.parts.length,
+    segments: plan.segments,
+    encoding: plan.encoding,
+    cost: plan.cost,
+    results,
+  };
+}
+
 /**
  * Validate Twilio webhook signature
  */
@@ -102,10 +224,23 @@ export function validateWebhook(signature, url, params) {
   }
 }
 
+/**
+ * Get the attachments on an incoming message: [{ url, contentType }]
+ */
+export function parseMedia(body) {
+  const count = parseInt(body.NumMedia || '0') || 0;
+
+  return Array.from({ length: count }, (_, i) => ({
+    url: body[`MediaUrl${i}`],
+    contentType: (body[`MediaContentType${i}`] || '').toLowerCase(),
+  })).filter(media => media.url);
+}
+
 /**
  * Parse incoming Twilio webhook
  */
 export function parseIncomingMessage(body) {
+  // "from" keeps the whatsapp: prefix: WhatsApp and SMS users are separate users
   return {
     from: body.From,
     to: body.To,
@@ -113,6 +248,21 @@ export function parseIncomingMessage(body) {
     messageSid: body.MessageSid,
     accountSid: body.AccountSid,
     numMedia: parseInt(body.NumMedia || '0'),
+    media: parseMedia(body),
+    channel: getChannel(body.From),
+    phoneNumber: getPhoneNumber(body.From),
+  };
+}
+
+/**
+ * Parse a delivery status callback
+ */
+export function parseStatusCallback(body) {
+  return {
+    messageSid: body.MessageSid,
+    status: body.MessageStatus,
+    errorCode: body.ErrorCode ? parseInt(body.ErrorCode) : null,
+    to: body.To,
   };
 }
 
@@ -161,13 +311,18 @@ export async function getMessageStatus(messageSid) {
 
 /**
  * Send immediate crisis response via SMS
+ * (resources come from crisisResources for the recipient's country)
  */
-export async function sendCrisisResponse(to, resources) {
-  const message = `= CRISIS RESOURCES =\n\n` +
-    `If you're in immediate danger, call 911.\n\n` +
+export async function sendCrisisResponse(to, resources = []) {
+  const emergency = resources.find(resource => resource.key === 'emergency');
+  const lines = resources
+    .filter(resource => resource.key !== 'emergency')
+    .map(resource => `${resource.name}: ${resource.contact}`);
+
+  const message = `CRISIS RESOURCES\n\n` +
+    (emergency ? `If you're in immediate danger, ${emergency.contact.toLowerCase()}.\n\n` : '') +
     `24/7 Crisis Support:\n` +
-    `= 988 - Suicide & Crisis Lifeline\n` +
-    `= Text HELLO to 741741 - Crisis Text Line\n\n` +
+    `${lines.join('\n')}\n\n` +
     `You're not alone. Help is available right now.`;
 
   return await sendSMS(to, message);
@@ -232,11 +387,20 @@ export function validateConfiguration() {
 initializeTwilio();
 
 export default {
+  WHATSAPP_PREFIX,
   initializeTwilio,
+  setClient,
+  isWhatsAppAddress,
+  getPhoneNumber,
+  getChannel,
   sendSMS,
+  sendTemplate,
   sendMultipleSMS,
+  sendLongSMS,
   validateWebhook,
+  parseMedia,
   parseIncomingMessage,
+  parseStatusCallback,
   formatWebhookResponse,
   getMessageStatus,
   sendCrisisResponse,
@@ -0,0 +1,213 @@
+// Usage Tracker Module - Token/cost accounting per model call, daily totals and spend budgets
+import dotenv from 'dotenv';
+import memory from './memory.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+// USD per million tokens
+export const MODEL_PRICING = {
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+};
+
+// Unknown models (including the mock provider) are priced like the default model,
+// so budgets can be exercised offline
+const DEFAULT_PRICING = MODEL_PRICING['claude-sonnet-4-20250514'];
+
+// Daily budgets in USD (0 = no limit). Over a soft budget replies get cheaper;
+// over a hard budget they come from templates. Crisis classification is never limited,
+// and users in crisis follow-up mode are never held to the per-user budget.
+export const BUDGETS = {
+  user: {
+    soft: parseFloat(process.env.USER_DAILY_SOFT_BUDGET_USD || '0.25'),
+    hard: parseFloat(process.env.USER_DAILY_HARD_BUDGET_USD || '2'),
+  },
+  global: {
+    soft: parseFloat(process.env.GLOBAL_DAILY_SOFT_BUDGET_USD || '25'),
+    hard: parseFloat(process.env.GLOBAL_DAILY_HARD_BUDGET_USD || '75'),
+  },
+};
+
+// Today's totals kept in memory, used when the database is unavailable
+let todayKey = null;
+const todayTotals = new Map();
+
+// Totals read from the database are reused this long (recordUsage adds to them in between),
+// so checking the budget doesn't run two SUM queries for every message
+const USAGE_CACHE_MS = parseInt(process.env.USAGE_CACHE_SECONDS || '60') * 1000;
+
+// Database totals by key ('*' is the whole deployment): { totals, fetchedAt }
+const cachedUsage = new Map();
+
+/**
+ * Today's date (server time) as YYYY-MM-DD
+ */
+function getDayKey(date = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Start a new day's totals when the date changes
+ */
+function startDay() {
+  const day = getDayKey();
+
+  if (day !== todayKey) {
+    todayKey = day;
+    todayTotals.clear();
+    cachedUsage.clear();
+  }
+}
+
+/**
+ * Get (and start the day for) an in-memory total; '*' is the whole deployment
+ */
+function getLocalTotals(key) {
+  startDay();
+
+  if (!todayTotals.has(key)) {
+    todayTotals.set(key, { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+  }
+
+  return todayTotals.get(key);
+}
+
+/**
+ * Price a call in USD
+ */
+export function calculateCost(model, usage) {
+  const pricing = MODEL_PRICING[model] || DEFAULT_PRICING;
+  const cost = ((usage.inputTokens || 0) * pricing.input + (usage.outputTokens || 0) * pricing.output) / 1000000;
+
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+/**
+ * Record a model call; returns its cost
+ */
+export async function recordUsage({ phoneNumber = null, purpose, model, usage }) {
+  const inputTokens = usage?.inputTokens || 0;
+  const outputTokens = usage?.outputTokens || 0;
+  const cost = calculateCost(model, { inputTokens, outputTokens });
+
+  for (const key of phoneNumber ? ['*', phoneNumber] : ['*']) {
+    for (const totals of [getLocalTotals(key), cachedUsage.get(key)?.totals].filter(Boolean)) {
+      totals.calls += 1;
+      totals.inputTokens += inputTokens;
+      totals.outputTokens += outputTokens;
+      totals.cost += cost;
+    }
+  }
+
+  await memory.recordLLMUsage({ phoneNumber, purpose, model, inputTokens, outputTokens, cost });
+
+  return cost;
+}
+
+/**
+ * Get today's totals for a user, or the deployment ({ calls, inputTokens, outputTokens, cost })
+ */
+export async function getTodayUsage(phoneNumber = null) {
+  const key = phoneNumber || '*';
+  startDay();
+
+  const cached = cachedUsage.get(key);
+
+  if (cached && Date.now() - cached.fetchedAt < USAGE_CACHE_MS) {
+    return { ...cached.totals };
+  }
+
+  const stored = await memory.getTodayUsage(phoneNumber);
+
+  if (!stored) {
+    return { ...getLocalTotals(key) };
+  }
+
+  cachedUsage.set(key, { totals: stored, fetchedAt: Date.now() });
+  return { ...stored };
+}
+
+/**
+ * Compare a spend against a budget: 'hard', 'soft' or 'ok'
+ */
+function budgetStatus(spend, budget) {
+  if (budget.hard > 0 && spend >= budget.hard) return 'hard';
+  if (budget.soft > 0 && spend >= budget.soft) return 'soft';
+  return 'ok';
+}
+
+/**
+ * Check a user's and the deployment's spend today against the budgets
+ * (inCrisis: the user is in crisis follow-up mode, so only the deployment's budget applies)
+ * Returns { status: 'ok' | 'soft' | 'hard', scope: 'user' | 'global' | null, userSpend, globalSpend }
+ */
+export async function checkBudget(phoneNumber, { inCrisis = false } = {}) {
+  try {
+    const [userUsage, globalUsage] = await Promise.all([getTodayUsage(phoneNumber), getTodayUsage()]);
+    const userStatus = inCrisis ? 'ok' : budgetStatus(userUsage.cost, BUDGETS.user);
+    const globalStatus = budgetStatus(globalUsage.cost, BUDGETS.global);
+    const order = ['ok', 'soft', 'hard'];
+
+    const status = order[Math.max(order.indexOf(userStatus), order.indexOf(globalStatus))];
+    const scope = status === 'ok' ? null : (globalStatus === status ? 'global' : 'user');
+
+    if (status !== 'ok') {
+      logger.warn('Usage budget exceeded', {
+        phoneNumber: phoneNumber.slice(-4),
+        status,
+        scope,
+        userSpend: userUsage.cost,
+        globalSpend: globalUsage.cost,
+      });
+    }
+
+    return { status, scope, userSpend: userUsage.cost, globalSpend: globalUsage.cost };
+  } catch (error) {
+    logger.error('Failed to check usage budget', { error: error.message, phoneNumber });
+    return { status: 'ok', scope: null, userSpend: null, globalSpend: null };
+  }
+}
+
+/**
+ * Build the spend report for the admin endpoint
+ */
+export async function getSpendReport(days = 14) {
+  const trend = await memory.getUsageTrend(days);
+  const today = await getTodayUsage();
+
+  const byDay = {};
+  for (const row of trend?.daily || []) {
+    const day = getDayKey(new Date(row.day));
+    byDay[day] = byDay[day] || { day, calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, byPurpose: {} };
+    byDay[day].calls += row.calls;
+    byDay[day].inputTokens += row.input_tokens;
+    byDay[day].outputTokens += row.output_tokens;
+    byDay[day].cost = Math.round((byDay[day].cost + row.cost) * 1000000) / 1000000;
+    byDay[day].byPurpose[row.purpose] = { calls: row.calls, users: row.users, cost: row.cost };
+  }
+
+  return {
+    today: { ...today, budgets: BUDGETS.global },
+    userBudgets: BUDGETS.user,
+    days: Object.values(byDay),
+    // Only the last 4 digits, as in the logs
+    topUsers: (trend?.topUsers || []).map(row => ({
+      phoneNumber: row.phone_number.slice(-4),
+      calls: row.calls,
+      cost: row.cost,
+    })),
+    source: trend ? 'database' : 'memory',
+  };
+}
+
+export default {
+  MODEL_PRICING,
+  BUDGETS,
+  calculateCost,
+  recordUsage,
+  getTodayUsage,
+  checkBudget,
+  getSpendReport,
+};
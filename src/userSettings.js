@@ -0,0 +1,263 @@
+// User Settings Module - Nickname, pronouns, tone, reply length and emoji preferences (SETTINGS flow)
+import memory from './memory.js';
+import sessionManager from './sessionManager.js';
+import logger from './logger.js';
+
+export const FLOW_TYPE = 'settings';
+
+// null means "not set": the default prompt behaviour applies
+export const DEFAULT_SETTINGS = {
+  nickname: null,
+  pronouns: null,
+  tone: null,
+  length: null,
+  emoji: null,
+};
+
+// Nicknames and pronouns go into the system prompt, so they are kept to plain words
+const NICKNAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} '.-]{0,23}$/u;
+const PRONOUNS_PATTERN = /^[a-z]{1,8}(\/[a-z]{1,8}){1,2}$/;
+
+const CLEAR_WORDS = ['clear', 'none', 'reset'];
+
+// Settings in menu order; options map a value to how it is described to the user
+export const SETTINGS = [
+  {
+    key: 'nickname',
+    label: 'Nickname',
+    prompt: `What should I call you? (Text CLEAR to go back to no name)`,
+    parse: reply => (NICKNAME_PATTERN.test(reply) ? reply : undefined),
+    invalid: `Nicknames can be up to 24 letters, numbers or spaces. What should I call you?`,
+  },
+  {
+    key: 'pronouns',
+    label: 'Pronouns',
+    prompt: `What pronouns do you use? For example she/her, he/him or they/them. (Text CLEAR to remove)`,
+    parse: reply => {
+      const pronouns = reply.toLowerCase().replace(/\s/g, '');
+      return PRONOUNS_PATTERN.test(pronouns) ? pronouns : undefined;
+    },
+    invalid: `Send them like she/her, he/him or they/them.`,
+  },
+  {
+    key: 'tone',
+    label: 'Tone',
+    options: {
+      chill: 'relaxed and casual',
+      gentle: 'extra soft and gentle',
+      direct: 'straight to the point',
+    },
+  },
+  {
+    key: 'length',
+    label: 'Reply length',
+    options: {
+      short: 'a sentence or two',
+      normal: 'a few sentences',
+      long: 'a bit more detail',
+    },
+  },
+  {
+    key: 'emoji',
+    label: 'Emoji',
+    options: {
+      on: 'yes, use them',
+      off: 'no emoji',
+    },
+  },
+];
+
+// What the model is told for each choice
+const PROMPT_INSTRUCTIONS = {
+  tone: {
+    chill: 'Keep your tone relaxed and casual, like a laid-back older friend.',
+    gentle: 'Be especially soft and gentle; go slowly and validate a lot.',
+    direct: 'Be straightforward and practical; get to the point without fluff.',
+  },
+  length: {
+    short: 'Keep replies to 1-2 short sentences.',
+    normal: 'Keep replies to 2-3 sentences.',
+    long: 'You can use up to 4 sentences when it helps.',
+  },
+  emoji: {
+    on: 'An emoji now and then is welcome.',
+    off: 'Never use emoji.',
+  },
+};
+
+/**
+ * Describe a setting's current value for the menu
+ */
+function describeValue(setting, value) {
+  if (value === null || value === undefined) {
+    return 'not set';
+  }
+
+  return setting.options ? `${value} (${setting.options[value]})` : value;
+}
+
+/**
+ * Get a setting's prompt (options are listed by name)
+ */
+function getSettingPrompt(setting) {
+  if (setting.prompt) {
+    return setting.prompt;
+  }
+
+  const choices = Object.entries(setting.options)
+    .map(([value, description]) => `${value.toUpperCase()} - ${description}`)
+    .join('\n');
+
+  return `${setting.label}? Reply with one of:\n${choices}\n(or CLEAR for the default)`;
+}
+
+/**
+ * Get a user's settings: saved ones, with this session's on top (defaults for anything unset)
+ */
+export async function getSettings(phoneNumber) {
+  const [profile, session] = await Promise.all([
+    memory.getUserProfile(phoneNumber),
+    sessionManager.getSession(phoneNumber),
+  ]);
+
+  return { ...DEFAULT_SETTINGS, ...profile?.metadata?.settings, ...session.preferences };
+}
+
+/**
+ * Save one setting to the user's record (kept past the session) and the session
+ */
+export async function saveSetting(phoneNumber, key, value) {
+  const settings = { ...await getSettings(phoneNumber), [key]: value };
+
+  // Without the database, settings last as long as the session
+  const saved = await memory.updateUserMetadata(phoneNumber, { settings });
+  await sessionManager.updatePreferences(phoneNumber, { [key]: value });
+
+  logger.info('User setting changed', { phoneNumber: phoneNumber.slice(-4), setting: key, saved });
+
+  return settings;
+}
+
+/**
+ * Format the settings menu
+ */
+export function formatSettingsMenu(settings) {
+  const lines = SETTINGS.map((setting, i) => `${i + 1}. ${setting.label}: ${describeValue(setting, settings[setting.key])}`);
+
+  return `YOUR SETTINGS\n\n${lines.join('\n')}\n\n` +
+    `Reply with a number to change one, or DONE when you're finished.`;
+}
+
+/**
+ * Start the SETTINGS flow
+ */
+export async function startSettings(phoneNumber) {
+  await sessionManager.setActiveFlow(phoneNumber, { type: FLOW_TYPE, editing: null });
+  return formatSettingsMenu(await getSettings(phoneNumber));
+}
+
+/**
+ * Handle a reply in the SETTINGS flow
+ * Returns the reply to send, or null when the message should go on to the AI instead
+ */
+export async function handleSettingsResponse(phoneNumber, message) {
+  const session = await sessionManager.getSession(phoneNumber);
+  const flow = session.activeFlow;
+
+  if (flow?.type !== FLOW_TYPE) {
+    return null;
+  }
+
+  const reply = message.trim();
+  const command = reply.toLowerCase();
+
+  if (['done', 'cancel', 'exit'].includes(command)) {
+    await sessionManager.clearActiveFlow(phoneNumber);
+    return `All set. Text SETTINGS anytime to change these.`;
+  }
+
+  // Choosing a setting from the menu
+  if (flow.editing === null) {
+    const setting = SETTINGS[parseInt(command) - 1];
+
+    // Not a menu choice: they're talking to us, so leave settings
+    if (!/^\d+$/.test(command) || !setting) {
+      await sessionManager.clearActiveFlow(phoneNumber);
+      return null;
+    }
+
+    await sessionManager.setActiveFlow(phoneNumber, { ...flow, editing: setting.key });
+    return getSettingPrompt(setting);
+  }
+
+  // Answering for the chosen setting
+  const setting = SETTINGS.find(s => s.key === flow.editing);
+  let value;
+
+  if (CLEAR_WORDS.includes(command)) {
+    value = null;
+  } else if (setting.options) {
+    value = Object.hasOwn(setting.options, command) ? command : undefined;
+  } else {
+    value = setting.parse(reply);
+  }
+
+  if (value === undefined) {
+    return `${setting.invalid || getSettingPrompt(setting)}\n(Text CANCEL to leave settings)`;
+  }
+
+  await saveSetting(phoneNumber, setting.key, value);
+  await sessionManager.setActiveFlow(phoneNumber, { ...flow, editing: null });
+
+  return `Saved: ${setting.label.toLowerCase()} ${value === null ? 'cleared' : `set to ${value}`}.\n\n` +
+    `Reply with another number to change something else, or DONE.`;
+}
+
+/**
+ * Format settings as instructions for the system prompt ('' if nothing is set)
+ */
+export function formatSettingsForPrompt(settings = {}) {
+  const lines = [];
+
+  if (settings.nickname) lines.push(`Call them ${JSON.stringify(settings.nickname)}.`);
+  if (settings.pronouns) lines.push(`They use ${settings.pronouns} pronouns.`);
+
+  for (const key of ['tone', 'length', 'emoji']) {
+    const instruction = PROMPT_INSTRUCTIONS[key][settings[key]];
+    if (instruction) lines.push(instruction);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Apply settings to a templated reply (emoji removed when they've turned emoji off)
+ */
+export function applyToTemplate(text, settings = {}) {
+  if (settings.emoji !== 'off') {
+    return text;
+  }
+
+  return text.replace(/[\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}\u{FE0F}\u{200D}]/gu, '').replace(/ +(\n|$)/g, '$1');
+}
+
+/**
+ * Start a templated reply with the user's nickname when they have one
+ */
+export function greet(greeting, settings = {}) {
+  return settings.nickname ? greeting.replace(/([!.])$/, `, ${settings.nickname}$1`) : greeting;
+}
+
+export default {
+  FLOW_TYPE,
+  DEFAULT_SETTINGS,
+  SETTINGS,
+  getSettings,
+  saveSetting,
+  formatSettingsMenu,
+  startSettings,
+  handleSettingsResponse,
+  formatSettingsForPrompt,
+  applyToTemplate,
+  greet,
+};
@@ -0,0 +1,183 @@
+// Web Chat Module - Anonymous web chat sessions: signed tokens, server-sent events and queued replies
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import crisisResources from './crisisResources.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+// Web chat users are stored under "web:<id>" wherever SMS users use their phone number
+export const USER_PREFIX = 'web:';
+
+// Signs session tokens; without it, tokens stop working when the server restarts
+const TOKEN_SECRET = process.env.WEB_CHAT_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.WEB_CHAT_SECRET) {
+  logger.warn('WEB_CHAT_SECRET not set; web chat sessions will not survive a restart');
+}
+
+// How long an anonymous session token is valid
+const TOKEN_TTL_DAYS = parseInt(process.env.WEB_CHAT_TOKEN_DAYS || '30');
+
+export const MAX_MESSAGE_LENGTH = 1000;
+
+// Replies kept for a user with no open connection, delivered when they reconnect
+const MAX_QUEUED_MESSAGES = 50;
+
+// Keeps proxies from closing idle event streams
+const HEARTBEAT_MS = 25000;
+
+// Open event streams and undelivered replies by user id
+const connections = new Map();
+const queued = new Map();
+
+/**
+ * Sign a token payload
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Check whether a user id belongs to web chat
+ */
+export function isWebUser(userId) {
+  return typeof userId === 'string' && userId.startsWith(USER_PREFIX);
+}
+
+/**
+ * Where to get help if the chat itself fails; the widget shows it, since it can be embedded anywhere
+ */
+export function getHelpMessage(userId) {
+  const country = crisisResources.getCountryForPhoneNumber(userId);
+
+  return `If you need help right now, please ${crisisResources.getHotlineSummary(country)}. ` +
+    crisisResources.getEmergencyLine(country);
+}
+
+/**
+ * Start an anonymous session; returns { token, userId, expiresAt, help }
+ */
+export function createSession() {
+  // 16 hex characters keeps "web:<id>" within the phone_number columns
+  const id = crypto.randomBytes(8).toString('hex');
+  const expiresAt = Date.now() + TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+  const payload = `${id}.${expiresAt}`;
+
+  logger.info('Web chat session created', { userId: id.slice(-4) });
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    userId: `${USER_PREFIX}${id}`,
+    expiresAt: new Date(expiresAt).toISOString(),
+    help: getHelpMessage(`${USER_PREFIX}${id}`),
+  };
+}
+
+/**
+ * Verify a session token; returns the user id, or null if it is forged or expired
+ */
+export function verifyToken(token) {
+  const match = typeof token === 'string' && token.match(/^([0-9a-f]{16})\.(\d+)\.([\w-]+)$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, id, expiresAt, signature] = match;
+  const expected = Buffer.from(sign(`${id}.${expiresAt}`));
+  const given = Buffer.from(signature);
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  if (parseInt(expiresAt) < Date.now()) {
+    return null;
+  }
+
+  return `${USER_PREFIX}${id}`;
+}
+
+/**
+ * Write one event to a stream
+ */
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: message\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Attach a server-sent events stream for a user and deliver anything queued
+ */
+export function openStream(userId, req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(': connected\n\n');
+
+  if (!connections.has(userId)) {
+    connections.set(userId, new Set());
+  }
+  connections.get(userId).add(res);
+
+  for (const event of queued.get(userId) || []) {
+    writeEvent(res, event);
+  }
+  queued.delete(userId);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    connections.get(userId)?.delete(res);
+
+    if (connections.get(userId)?.size === 0) {
+      connections.delete(userId);
+    }
+  });
+}
+
+/**
+ * Send a reply to a web chat user (queued if they have no open stream)
+ */
+export async function sendMessage(userId, text) {
+  const event = { id: crypto.randomUUID(), text, at: new Date().toISOString() };
+  const streams = connections.get(userId);
+
+  if (streams?.size) {
+    for (const res of streams) {
+      writeEvent(res, event);
+    }
+  } else {
+    const pending = [...(queued.get(userId) || []), event].slice(-MAX_QUEUED_MESSAGES);
+    queued.set(userId, pending);
+  }
+
+  logger.logConversation(userId, text, false);
+
+  return { success: true, messageId: event.id, delivered: Boolean(streams?.size) };
+}
+
+/**
+ * Take (and clear) a user's queued replies
+ */
+export function takeQueuedMessages(userId) {
+  const pending = queued.get(userId) || [];
+  queued.delete(userId);
+  return pending;
+}
+
+export default {
+  USER_PREFIX,
+  MAX_MESSAGE_LENGTH,
+  isWebUser,
+  getHelpMessage,
+  createSession,
+  verifyToken,
+  openStream,
+  sendMessage,
+  takeQueuedMessages,
+};
@@ -0,0 +1,98 @@
+// WhatsApp Module - The 24-hour session window and pre-approved templates for messages outside it
+import dotenv from 'dotenv';
+import twilio from './twilio.js';
+import memory from './memory.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+// WhatsApp only allows free-form messages within 24 hours of the user's last message
+export const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Pre-approved templates (Twilio Content SIDs) by name, used outside the window
+const templates = {
+  check_in: process.env.WHATSAPP_CHECKIN_TEMPLATE_SID || null,
+};
+
+// When each WhatsApp user last messaged us, oldest first; entries go once their window has closed
+const lastInbound = new Map();
+
+/**
+ * Register (or replace) a pre-approved template
+ */
+export function setTemplate(name, contentSid) {
+  templates[name] = contentSid;
+}
+
+/**
+ * Note that a WhatsApp user messaged us (opens or extends their window)
+ */
+export function recordInbound(address, at = Date.now()) {
+  // Re-inserting keeps the Map in time order, so expired entries are always at the front
+  lastInbound.delete(address);
+  lastInbound.set(address, at);
+
+  for (const [oldest, lastAt] of lastInbound) {
+    if (at - lastAt < SESSION_WINDOW_MS) {
+      break;
+    }
+    lastInbound.delete(oldest);
+  }
+}
+
+/**
+ * When a user last messaged us (falls back to stored history after a restart), or null
+ */
+export async function getLastInboundAt(address) {
+  if (lastInbound.has(address)) {
+    const lastAt = lastInbound.get(address);
+
+    if (Date.now() - lastAt >= SESSION_WINDOW_MS) {
+      lastInbound.delete(address);
+    }
+
+    return lastAt;
+  }
+
+  const history = await memory.getConversationHistory(address, 20);
+  const incoming = history.filter(message => message.direction === 'incoming').at(-1);
+
+  return incoming ? new Date(incoming.timestamp).getTime() : null;
+}
+
+/**
+ * Check whether free-form messages can be sent to a user right now
+ */
+export async function isSessionOpen(address, now = Date.now()) {
+  const lastAt = await getLastInboundAt(address);
+  return lastAt !== null && now - lastAt < SESSION_WINDOW_MS;
+}
+
+/**
+ * Send a WhatsApp message: free-form inside the window, otherwise the named template if there is one
+ */
+export async function sendMessage(address, text, { template = null } = {}) {
+  if (await isSessionOpen(address)) {
+    return await twilio.sendSMS(address, text);
+  }
+
+  if (template && templates[template]) {
+    return { ...await twilio.sendTemplate(address, templates[template]), template };
+  }
+
+  logger.warn('WhatsApp session window closed; message not sent', {
+    to: address.slice(-4),
+    template,
+  });
+
+  return { success: false, error: 'outside_session_window' };
+}
+
+export default {
+  SESSION_WINDOW_MS,
+  setTemplate,
+  recordInbound,
+  getLastInboundAt,
+  isSessionOpen,
+  sendMessage,
+};